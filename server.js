@@ -28,6 +28,9 @@ const MIME_TYPES = {
   '.woff2': 'font/woff2',
   '.ttf': 'font/ttf',
   '.otf': 'font/otf',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.hgt': 'application/octet-stream',
 };
 
 const server = http.createServer((req, res) => {
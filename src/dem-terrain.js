@@ -0,0 +1,709 @@
+/**
+ * Local DEM terrain source
+ *
+ * Parses single-band GeoTIFF and SRTM .hgt files and serves them through the
+ * regular tile provider contract, reprojected into the Web-Mercator XYZ
+ * pyramid so the flat terrain LOD can mesh them like any other source.
+ */
+
+import {geodesy} from './geodesy.js';
+import {terrain_provider} from './terrain-provider.js';
+
+export const dem_terrain = (function() {
+
+  // Size of the tiles this provider resamples the DEM into
+  const DEM_TILE_SIZE = 256;
+
+  // SRTM voids
+  const HGT_NODATA = -32768;
+
+  // TIFF tags
+  const TAG_IMAGE_WIDTH = 256;
+  const TAG_IMAGE_LENGTH = 257;
+  const TAG_BITS_PER_SAMPLE = 258;
+  const TAG_COMPRESSION = 259;
+  const TAG_STRIP_OFFSETS = 273;
+  const TAG_SAMPLES_PER_PIXEL = 277;
+  const TAG_ROWS_PER_STRIP = 278;
+  const TAG_STRIP_BYTE_COUNTS = 279;
+  const TAG_PLANAR_CONFIGURATION = 284;
+  const TAG_PREDICTOR = 317;
+  const TAG_TILE_WIDTH = 322;
+  const TAG_TILE_LENGTH = 323;
+  const TAG_TILE_OFFSETS = 324;
+  const TAG_TILE_BYTE_COUNTS = 325;
+  const TAG_SAMPLE_FORMAT = 339;
+  const TAG_MODEL_PIXEL_SCALE = 33550;
+  const TAG_MODEL_TIEPOINT = 33922;
+  const TAG_GEO_KEY_DIRECTORY = 34735;
+  const TAG_GDAL_NODATA = 42113;
+
+  // GeoTIFF keys
+  const KEY_MODEL_TYPE = 1024;
+  const KEY_RASTER_TYPE = 1025;
+  const KEY_PROJECTED_CS_TYPE = 3072;
+
+  const MODEL_TYPE_GEOGRAPHIC = 2;
+  const RASTER_PIXEL_IS_POINT = 2;
+
+  // Byte size of each TIFF field type
+  const TIFF_TYPE_SIZES = {
+    1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8
+  };
+
+
+  // ============== Coordinate Reference Systems ==============
+
+  /**
+   * Build lon/lat <-> model coordinate converters for an EPSG code
+   */
+  function createCRS(epsg) {
+    if (epsg === 4326) {
+      return {
+        epsg: epsg,
+        forward: (lon, lat) => ({ x: lon, y: lat }),
+        inverse: (x, y) => ({ lon: x, lat: y })
+      };
+    }
+
+    if (epsg === 3857 || epsg === 3785 || epsg === 900913) {
+      return {
+        epsg: epsg,
+        forward: geodesy.lonLatToWebMercator,
+        inverse: geodesy.webMercatorToLonLat
+      };
+    }
+
+    // WGS84 UTM north/south, and NAD83 UTM which is within a metre of it
+    let zone = 0;
+    let south = false;
+    if (epsg > 32600 && epsg <= 32660) {
+      zone = epsg - 32600;
+    } else if (epsg > 32700 && epsg <= 32760) {
+      zone = epsg - 32700;
+      south = true;
+    } else if (epsg > 26900 && epsg <= 26923) {
+      zone = epsg - 26900;
+    }
+
+    if (zone > 0) {
+      return {
+        epsg: epsg,
+        forward: (lon, lat) => geodesy.lonLatToUTM(lon, lat, zone, south),
+        inverse: (x, y) => geodesy.utmToLonLat(x, y, zone, south)
+      };
+    }
+
+    throw new Error(
+        `Unsupported DEM projection EPSG:${epsg}. ` +
+        'Reproject to EPSG:4326, EPSG:3857 or UTM first (e.g. gdalwarp -t_srs EPSG:4326).');
+  }
+
+
+  /**
+   * DemRaster - A single-band elevation grid with its geo-referencing
+   *
+   * Pixel (i, j) lies at model coordinates
+   * (originX + i * pixelSizeX, originY - j * pixelSizeY), offset by half a
+   * pixel when the raster stores pixel areas rather than points.
+   */
+  class DemRaster {
+    constructor(params) {
+      this.width = params.width;
+      this.height = params.height;
+      this.data = params.data;
+      this.nodata = params.nodata;
+      this.crs = createCRS(params.epsg);
+      this.originX = params.originX;
+      this.originY = params.originY;
+      this.pixelSizeX = params.pixelSizeX;
+      this.pixelSizeY = params.pixelSizeY;
+      this.pixelIsPoint = params.pixelIsPoint;
+      this.bounds = this._computeBounds();
+
+      // Samples come out of typed arrays, so a nodata value float32 can't
+      // hold exactly (-9999.9) must be rounded the same way to match
+      this._nodataSample = this.nodata === null || this.nodata === undefined ?
+          null : Math.fround(this.nodata);
+    }
+
+    _isNodata(value) {
+      return Number.isNaN(value) || value === this._nodataSample;
+    }
+
+    // Lon/lat extent, taken from the corners and edge midpoints since
+    // projected rasters are not axis-aligned in lon/lat
+    _computeBounds() {
+      const extentX = (this.pixelIsPoint ? this.width - 1 : this.width) * this.pixelSizeX;
+      const extentY = (this.pixelIsPoint ? this.height - 1 : this.height) * this.pixelSizeY;
+      const bounds = { west: Infinity, east: -Infinity, south: Infinity, north: -Infinity };
+
+      for (const fx of [0, 0.5, 1]) {
+        for (const fy of [0, 0.5, 1]) {
+          const p = this.crs.inverse(this.originX + fx * extentX, this.originY - fy * extentY);
+          bounds.west = Math.min(bounds.west, p.lon);
+          bounds.east = Math.max(bounds.east, p.lon);
+          bounds.south = Math.min(bounds.south, p.lat);
+          bounds.north = Math.max(bounds.north, p.lat);
+        }
+      }
+
+      return bounds;
+    }
+
+    /**
+     * Bilinearly sample the elevation at lon/lat
+     * Nodata neighbours are ignored; returns NaN when none are valid or the
+     * point lies outside the raster
+     */
+    sample(lon, lat) {
+      const p = this.crs.forward(lon, lat);
+
+      let fx = (p.x - this.originX) / this.pixelSizeX;
+      let fy = (this.originY - p.y) / this.pixelSizeY;
+      if (!this.pixelIsPoint) {
+        fx -= 0.5;
+        fy -= 0.5;
+      }
+
+      if (fx < -0.5 || fy < -0.5 || fx > this.width - 0.5 || fy > this.height - 0.5) {
+        return NaN;
+      }
+
+      fx = Math.max(0, Math.min(this.width - 1, fx));
+      fy = Math.max(0, Math.min(this.height - 1, fy));
+
+      const x0 = Math.floor(fx);
+      const y0 = Math.floor(fy);
+      const x1 = Math.min(x0 + 1, this.width - 1);
+      const y1 = Math.min(y0 + 1, this.height - 1);
+      const tx = fx - x0;
+      const ty = fy - y0;
+
+      const samples = [
+        [this.data[y0 * this.width + x0], (1 - tx) * (1 - ty)],
+        [this.data[y0 * this.width + x1], tx * (1 - ty)],
+        [this.data[y1 * this.width + x0], (1 - tx) * ty],
+        [this.data[y1 * this.width + x1], tx * ty]
+      ];
+
+      let total = 0;
+      let weight = 0;
+      for (const [h, w] of samples) {
+        if (!this._isNodata(h) && w > 0) {
+          total += h * w;
+          weight += w;
+        }
+      }
+
+      return weight > 0 ? total / weight : NaN;
+    }
+  }
+
+
+  // ============== SRTM .hgt ==============
+
+  /**
+   * Parse an SRTM .hgt file. The tile's south-west corner comes from the
+   * file name, e.g. N39W109.hgt
+   */
+  function parseHGT(buffer, name) {
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(name || '');
+    if (!match) {
+      throw new Error(`Cannot determine .hgt tile position from file name "${name}"`);
+    }
+
+    const south = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const west = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+    const size = Math.round(Math.sqrt(buffer.byteLength / 2));
+    if (size * size * 2 !== buffer.byteLength) {
+      throw new Error(`${name} is not a square .hgt grid (${buffer.byteLength} bytes)`);
+    }
+
+    // Big-endian signed 16-bit samples, rows from north to south
+    const view = new DataView(buffer);
+    const data = new Float32Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = view.getInt16(i * 2, false);
+    }
+
+    return new DemRaster({
+      width: size,
+      height: size,
+      data: data,
+      nodata: HGT_NODATA,
+      epsg: 4326,
+      originX: west,
+      originY: south + 1,
+      pixelSizeX: 1 / (size - 1),
+      pixelSizeY: 1 / (size - 1),
+      pixelIsPoint: true
+    });
+  }
+
+
+  // ============== GeoTIFF ==============
+
+  // TIFF LZW (MSB-first codes, early change)
+  function decodeLZW(input, expectedBytes) {
+    const prefix = new Int32Array(4096);
+    const suffix = new Uint8Array(4096);
+    const first = new Uint8Array(4096);
+    const length = new Int32Array(4096);
+    for (let i = 0; i < 256; i++) {
+      prefix[i] = -1;
+      suffix[i] = i;
+      first[i] = i;
+      length[i] = 1;
+    }
+
+    let out = new Uint8Array(Math.max(expectedBytes, 1));
+    let outPos = 0;
+
+    const write = (code) => {
+      const len = length[code];
+      if (outPos + len > out.length) {
+        const grown = new Uint8Array(Math.max(out.length * 2, outPos + len));
+        grown.set(out);
+        out = grown;
+      }
+      for (let i = len - 1, c = code; i >= 0; i--, c = prefix[c]) {
+        out[outPos + i] = suffix[c];
+      }
+      outPos += len;
+    };
+
+    const totalBits = input.length * 8;
+    let bitPos = 0;
+    let codeLen = 9;
+    let nextCode = 258;
+    let prev = -1;
+
+    while (bitPos + codeLen <= totalBits) {
+      const byteIdx = bitPos >> 3;
+      const window = (input[byteIdx] << 16) | ((input[byteIdx + 1] | 0) << 8) | (input[byteIdx + 2] | 0);
+      const code = (window >> (24 - (bitPos & 7) - codeLen)) & ((1 << codeLen) - 1);
+      bitPos += codeLen;
+
+      if (code === 257) {
+        break;
+      }
+      if (code === 256) {
+        nextCode = 258;
+        codeLen = 9;
+        prev = -1;
+        continue;
+      }
+
+      if (prev === -1) {
+        write(code);
+        prev = code;
+        continue;
+      }
+
+      let entryFirst;
+      if (code < nextCode) {
+        entryFirst = first[code];
+      } else if (code === nextCode) {
+        entryFirst = first[prev];
+      } else {
+        throw new Error('Corrupt LZW data in GeoTIFF');
+      }
+
+      if (nextCode < 4096) {
+        prefix[nextCode] = prev;
+        suffix[nextCode] = entryFirst;
+        first[nextCode] = first[prev];
+        length[nextCode] = length[prev] + 1;
+        nextCode++;
+      }
+
+      write(code);
+      prev = code;
+
+      if (nextCode + 1 >= (1 << codeLen) && codeLen < 12) {
+        codeLen++;
+      }
+    }
+
+    return out.subarray(0, outPos);
+  }
+
+  // zlib/deflate via the platform's DecompressionStream
+  async function decodeDeflate(input) {
+    const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  class TiffReader {
+    constructor(buffer) {
+      this._buffer = buffer;
+      this._view = new DataView(buffer);
+
+      const order = this._view.getUint16(0, false);
+      if (order === 0x4949) {
+        this._littleEndian = true;
+      } else if (order === 0x4d4d) {
+        this._littleEndian = false;
+      } else {
+        throw new Error('Not a TIFF file');
+      }
+
+      const magic = this._view.getUint16(2, this._littleEndian);
+      if (magic === 43) {
+        throw new Error('BigTIFF files are not supported');
+      }
+      if (magic !== 42) {
+        throw new Error('Not a TIFF file');
+      }
+
+      this._tags = this._readIFD(this._view.getUint32(4, this._littleEndian));
+    }
+
+    get littleEndian() {
+      return this._littleEndian;
+    }
+
+    _readIFD(offset) {
+      const tags = new Map();
+      const count = this._view.getUint16(offset, this._littleEndian);
+
+      for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = this._view.getUint16(entry, this._littleEndian);
+        const type = this._view.getUint16(entry + 2, this._littleEndian);
+        const n = this._view.getUint32(entry + 4, this._littleEndian);
+        const size = TIFF_TYPE_SIZES[type];
+        if (!size) {
+          continue;
+        }
+
+        const valueOffset = size * n <= 4 ?
+            entry + 8 : this._view.getUint32(entry + 8, this._littleEndian);
+        tags.set(tag, this._readValues(type, n, valueOffset));
+      }
+
+      return tags;
+    }
+
+    _readValues(type, n, offset) {
+      const le = this._littleEndian;
+      const v = this._view;
+
+      if (type === 2) {
+        const bytes = new Uint8Array(this._buffer, offset, n);
+        return new TextDecoder('ascii').decode(bytes).replace(/\0+$/, '');
+      }
+
+      const values = [];
+      for (let i = 0; i < n; i++) {
+        const o = offset + i * TIFF_TYPE_SIZES[type];
+        switch (type) {
+          case 1: case 7: values.push(v.getUint8(o)); break;
+          case 6: values.push(v.getInt8(o)); break;
+          case 3: values.push(v.getUint16(o, le)); break;
+          case 8: values.push(v.getInt16(o, le)); break;
+          case 4: values.push(v.getUint32(o, le)); break;
+          case 9: values.push(v.getInt32(o, le)); break;
+          case 5: values.push(v.getUint32(o, le) / v.getUint32(o + 4, le)); break;
+          case 10: values.push(v.getInt32(o, le) / v.getInt32(o + 4, le)); break;
+          case 11: values.push(v.getFloat32(o, le)); break;
+          case 12: values.push(v.getFloat64(o, le)); break;
+        }
+      }
+      return values;
+    }
+
+    get(tag, fallback = undefined) {
+      return this._tags.has(tag) ? this._tags.get(tag) : fallback;
+    }
+
+    getValue(tag, fallback = undefined) {
+      return this._tags.has(tag) ? this._tags.get(tag)[0] : fallback;
+    }
+
+    bytes(offset, length) {
+      return new Uint8Array(this._buffer, offset, length);
+    }
+  }
+
+  // Read the GeoKeyDirectory into a Map of key -> value
+  function readGeoKeys(tiff) {
+    const directory = tiff.get(TAG_GEO_KEY_DIRECTORY);
+    const keys = new Map();
+    if (!directory) {
+      return keys;
+    }
+
+    const numKeys = directory[3];
+    for (let i = 0; i < numKeys; i++) {
+      const [keyId, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+      // Only keys stored inline are needed here
+      if (location === 0) {
+        keys.set(keyId, value);
+      }
+    }
+    return keys;
+  }
+
+  // Undo horizontal differencing (predictor 2) on integer samples
+  function undoHorizontalPredictor(bytes, rowWidth, rows, samplesPerPixel, bytesPerSample, littleEndian) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const rowStride = rowWidth * samplesPerPixel * bytesPerSample;
+    const get = { 1: 'getUint8', 2: 'getUint16', 4: 'getUint32' }[bytesPerSample];
+    const set = { 1: 'setUint8', 2: 'setUint16', 4: 'setUint32' }[bytesPerSample];
+
+    for (let row = 0; row < rows; row++) {
+      const base = row * rowStride;
+      for (let i = samplesPerPixel; i < rowWidth * samplesPerPixel; i++) {
+        const o = base + i * bytesPerSample;
+        const prev = view[get](o - samplesPerPixel * bytesPerSample, littleEndian);
+        view[set](o, prev + view[get](o, littleEndian), littleEndian);
+      }
+    }
+  }
+
+  // Undo floating point differencing (predictor 3), leaving samples in file byte order
+  function undoFloatPredictor(bytes, rowWidth, rows, samplesPerPixel, bytesPerSample, littleEndian) {
+    const wc = rowWidth * samplesPerPixel;
+    const rowStride = wc * bytesPerSample;
+    const tmp = new Uint8Array(rowStride);
+
+    for (let row = 0; row < rows; row++) {
+      const rowBytes = bytes.subarray(row * rowStride, (row + 1) * rowStride);
+      for (let i = samplesPerPixel; i < rowStride; i++) {
+        rowBytes[i] = (rowBytes[i] + rowBytes[i - samplesPerPixel]) & 0xff;
+      }
+
+      tmp.set(rowBytes);
+      for (let k = 0; k < wc; k++) {
+        for (let b = 0; b < bytesPerSample; b++) {
+          const plane = littleEndian ? bytesPerSample - b - 1 : b;
+          rowBytes[k * bytesPerSample + b] = tmp[plane * wc + k];
+        }
+      }
+    }
+  }
+
+  function makeSampleReader(view, bitsPerSample, sampleFormat, littleEndian) {
+    const key = `${sampleFormat}/${bitsPerSample}`;
+    switch (key) {
+      case '1/8': return (o) => view.getUint8(o);
+      case '2/8': return (o) => view.getInt8(o);
+      case '1/16': return (o) => view.getUint16(o, littleEndian);
+      case '2/16': return (o) => view.getInt16(o, littleEndian);
+      case '1/32': return (o) => view.getUint32(o, littleEndian);
+      case '2/32': return (o) => view.getInt32(o, littleEndian);
+      case '3/32': return (o) => view.getFloat32(o, littleEndian);
+      case '3/64': return (o) => view.getFloat64(o, littleEndian);
+    }
+    throw new Error(`Unsupported GeoTIFF sample type (format ${sampleFormat}, ${bitsPerSample} bits)`);
+  }
+
+  /**
+   * Parse a single-band GeoTIFF. Strips or tiles; uncompressed, LZW or
+   * deflate; EPSG:4326, EPSG:3857 or UTM.
+   */
+  async function parseGeoTIFF(buffer) {
+    const tiff = new TiffReader(buffer);
+
+    const width = tiff.getValue(TAG_IMAGE_WIDTH);
+    const height = tiff.getValue(TAG_IMAGE_LENGTH);
+    const bitsPerSample = tiff.getValue(TAG_BITS_PER_SAMPLE, 1);
+    const samplesPerPixel = tiff.getValue(TAG_SAMPLES_PER_PIXEL, 1);
+    const sampleFormat = tiff.getValue(TAG_SAMPLE_FORMAT, 1);
+    const compression = tiff.getValue(TAG_COMPRESSION, 1);
+    const predictor = tiff.getValue(TAG_PREDICTOR, 1);
+    const bytesPerSample = bitsPerSample / 8;
+
+    if (samplesPerPixel > 1 && tiff.getValue(TAG_PLANAR_CONFIGURATION, 1) !== 1) {
+      throw new Error('Planar multi-band GeoTIFFs are not supported');
+    }
+    if (![1, 5, 8, 32946].includes(compression)) {
+      throw new Error(`Unsupported GeoTIFF compression ${compression}; use none, LZW or deflate`);
+    }
+
+    // Strips are just full-width tiles
+    const tiled = tiff.get(TAG_TILE_OFFSETS) !== undefined;
+    const chunkWidth = tiled ? tiff.getValue(TAG_TILE_WIDTH) : width;
+    const chunkHeight = tiled ? tiff.getValue(TAG_TILE_LENGTH) : tiff.getValue(TAG_ROWS_PER_STRIP, height);
+    const offsets = tiff.get(tiled ? TAG_TILE_OFFSETS : TAG_STRIP_OFFSETS);
+    const byteCounts = tiff.get(tiled ? TAG_TILE_BYTE_COUNTS : TAG_STRIP_BYTE_COUNTS);
+    const chunksAcross = Math.ceil(width / chunkWidth);
+
+    const data = new Float32Array(width * height);
+    const chunkBytes = chunkWidth * chunkHeight * samplesPerPixel * bytesPerSample;
+
+    for (let c = 0; c < offsets.length; c++) {
+      let bytes = tiff.bytes(offsets[c], byteCounts[c]);
+      if (compression === 5) {
+        bytes = decodeLZW(bytes, chunkBytes);
+      } else if (compression === 8 || compression === 32946) {
+        bytes = await decodeDeflate(bytes);
+      } else {
+        bytes = bytes.slice();
+      }
+
+      const chunkX = (c % chunksAcross) * chunkWidth;
+      const chunkY = Math.floor(c / chunksAcross) * chunkHeight;
+      const rows = Math.min(chunkHeight, Math.floor(bytes.byteLength / (chunkWidth * samplesPerPixel * bytesPerSample)));
+
+      if (predictor === 2) {
+        undoHorizontalPredictor(bytes, chunkWidth, rows, samplesPerPixel, bytesPerSample, tiff.littleEndian);
+      } else if (predictor === 3) {
+        undoFloatPredictor(bytes, chunkWidth, rows, samplesPerPixel, bytesPerSample, tiff.littleEndian);
+      }
+
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const read = makeSampleReader(view, bitsPerSample, sampleFormat, tiff.littleEndian);
+
+      for (let row = 0; row < rows && chunkY + row < height; row++) {
+        for (let col = 0; col < chunkWidth && chunkX + col < width; col++) {
+          const o = ((row * chunkWidth + col) * samplesPerPixel) * bytesPerSample;
+          data[(chunkY + row) * width + chunkX + col] = read(o);
+        }
+      }
+    }
+
+    // Geo-referencing
+    const scale = tiff.get(TAG_MODEL_PIXEL_SCALE);
+    const tiepoint = tiff.get(TAG_MODEL_TIEPOINT);
+    if (!scale || !tiepoint) {
+      throw new Error('GeoTIFF has no ModelPixelScale/ModelTiepoint geo-referencing');
+    }
+
+    const geoKeys = readGeoKeys(tiff);
+    const epsg = geoKeys.get(KEY_MODEL_TYPE) === MODEL_TYPE_GEOGRAPHIC ?
+        4326 : geoKeys.get(KEY_PROJECTED_CS_TYPE);
+    const nodataText = tiff.get(TAG_GDAL_NODATA);
+
+    const [i0, j0, , x0, y0] = tiepoint;
+    return new DemRaster({
+      width: width,
+      height: height,
+      data: data,
+      nodata: nodataText ? parseFloat(nodataText) : null,
+      epsg: epsg,
+      originX: x0 - i0 * scale[0],
+      originY: y0 + j0 * scale[1],
+      pixelSizeX: scale[0],
+      pixelSizeY: scale[1],
+      pixelIsPoint: geoKeys.get(KEY_RASTER_TYPE) === RASTER_PIXEL_IS_POINT
+    });
+  }
+
+  /**
+   * Parse a DEM file, picking the format from its name
+   */
+  async function parseDEM(buffer, name) {
+    if (/\.hgt$/i.test(name)) {
+      return parseHGT(buffer, name);
+    }
+    return parseGeoTIFF(buffer);
+  }
+
+  /**
+   * Fetch and parse a DEM, e.g. one served from disk by server.js
+   */
+  async function loadDEMFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch DEM ${url}: HTTP ${response.status}`);
+    }
+    return parseDEM(await response.arrayBuffer(), url.split('?')[0]);
+  }
+
+
+  /**
+   * DemTerrainProvider - Serves one or more DEM rasters as XYZ tiles
+   *
+   * Where no raster has data the tile holds either NaN (rendered as a hole)
+   * or the configured fill height.
+   */
+  class DemTerrainProvider extends terrain_provider.TerrainProvider {
+    constructor(params = {}) {
+      super(params);
+      this._rasters = params.rasters || [];
+      this._tileSize = params.tileSize || DEM_TILE_SIZE;
+      this._nodataMode = params.nodataMode || 'hole';
+      this._nodataFill = params.nodataFill || 0;
+    }
+
+    /**
+     * Lon/lat extent covered by all rasters
+     */
+    get bounds() {
+      return this._rasters.reduce((b, r) => ({
+        west: Math.min(b.west, r.bounds.west),
+        east: Math.max(b.east, r.bounds.east),
+        south: Math.min(b.south, r.bounds.south),
+        north: Math.max(b.north, r.bounds.north)
+      }), { west: Infinity, east: -Infinity, south: Infinity, north: -Infinity });
+    }
+
+    _getNodataHeight() {
+      return this._nodataMode === 'fill' ? this._nodataFill : NaN;
+    }
+
+    _sample(lon, lat) {
+      for (const raster of this._rasters) {
+        const b = raster.bounds;
+        if (lon < b.west || lon > b.east || lat < b.south || lat > b.north) {
+          continue;
+        }
+        const h = raster.sample(lon, lat);
+        if (!Number.isNaN(h)) {
+          return h;
+        }
+      }
+      return NaN;
+    }
+
+    async _fetchAndDecodeTile(z, x, y) {
+      const size = this._tileSize;
+      const bounds = terrain_provider.getTileBounds(z, x, y);
+      const heights = new Float32Array(size * size);
+      const nodataHeight = this._getNodataHeight();
+
+      const coverage = this.bounds;
+      const overlaps = !(bounds.east < coverage.west || bounds.west > coverage.east ||
+                         bounds.north < coverage.south || bounds.south > coverage.north);
+
+      if (!overlaps) {
+        heights.fill(nodataHeight);
+      } else {
+        // Samples sit at texel centres, like the pixels of terrain-rgb and
+        // terrarium tiles, so tiles from every provider line up the same way
+        for (let j = 0; j < size; j++) {
+          const lat = terrain_provider.tileY2lat(y + (j + 0.5) / size, z);
+          for (let i = 0; i < size; i++) {
+            const lon = terrain_provider.tileX2lon(x + (i + 0.5) / size, z);
+            const h = this._sample(lon, lat);
+            heights[j * size + i] = Number.isNaN(h) ? nodataHeight : h;
+          }
+        }
+      }
+
+      return {
+        heights: heights,
+        width: size,
+        height: size,
+        z: z,
+        x: x,
+        y: y,
+        bounds: bounds,
+        colors: null
+      };
+    }
+  }
+
+  return {
+    DemTerrainProvider: DemTerrainProvider,
+    DemRaster: DemRaster,
+    parseDEM: parseDEM,
+    parseHGT: parseHGT,
+    parseGeoTIFF: parseGeoTIFF,
+    loadDEMFromUrl: loadDEMFromUrl
+  };
+})();
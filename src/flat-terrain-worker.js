@@ -3,13 +3,26 @@
  * Supports variable resolution and world bounds
  */
 
+import {geodesy} from './geodesy.js';
+import {noise} from './noise.js';
+import {terrain_provider} from './terrain-provider.js';
+
+const { tileX2lon, tileY2lat } = terrain_provider;
+
 const _N = { x: 0, y: 0, z: 0 };
 
-function vec3Cross(out, a, b) {
-  out.x = a.y * b.z - a.z * b.y;
-  out.y = a.z * b.x - a.x * b.z;
-  out.z = a.x * b.y - a.y * b.x;
-}
+// Tiles that failed to load are chequered with this colour, in squares of
+// PLACEHOLDER_CHECK grid steps, so they can't pass for real terrain
+const PLACEHOLDER_COLOUR = { r: 0.9, g: 0.1, b: 0.6 };
+const PLACEHOLDER_CHECK = 8;
+
+// Over-zoom detail: every worker must seed the same noise so tiles agree
+// along their edges. Flat ground still gets a little.
+const DETAIL_SEED = 1;
+const DETAIL_OCTAVES = 6;
+const MIN_DETAIL_SLOPE = 0.05;
+
+const MERCATOR_CIRCUMFERENCE = 2 * Math.PI * geodesy.WGS84_A;
 
 function vec3Normalize(v) {
   const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
@@ -29,27 +42,29 @@ const lerpColor = (c1, c2, t) => ({
 });
 
 /**
- * Bilinear interpolation for height sampling
+ * Bilinear interpolation for height sampling from a height grid padded by
+ * `apron` texels on each side. u, v may stray into the apron.
  */
-function sampleHeightBilinear(heightData, tileSize, u, v) {
+function sampleHeightBilinear(heightData, tileSize, apron, u, v) {
   v = 1 - v;
   u = 1 - u;
-  // u, v are in [0, 1]
-  const px = u * (tileSize - 1);
-  const py = v * (tileSize - 1);
+  const stride = tileSize + 2 * apron;
+  const px = Math.max(0, Math.min(stride - 1, apron + u * (tileSize - 1)));
+  const py = Math.max(0, Math.min(stride - 1, apron + v * (tileSize - 1)));
 
   const x0 = Math.floor(px);
   const y0 = Math.floor(py);
-  const x1 = Math.min(x0 + 1, tileSize - 1);
-  const y1 = Math.min(y0 + 1, tileSize - 1);
+  const x1 = Math.min(x0 + 1, stride - 1);
+  const y1 = Math.min(y0 + 1, stride - 1);
 
   const fx = px - x0;
   const fy = py - y0;
 
-  const h00 = heightData[y0 * tileSize + x0] || 0;
-  const h10 = heightData[y0 * tileSize + x1] || 0;
-  const h01 = heightData[y1 * tileSize + x0] || 0;
-  const h11 = heightData[y1 * tileSize + x1] || 0;
+  // NaN (nodata) samples propagate so the caller can cut holes
+  const h00 = heightData[y0 * stride + x0];
+  const h10 = heightData[y0 * stride + x1];
+  const h01 = heightData[y1 * stride + x0];
+  const h11 = heightData[y1 * stride + x1];
 
   const h0 = h00 * (1 - fx) + h10 * fx;
   const h1 = h01 * (1 - fx) + h11 * fx;
@@ -57,40 +72,18 @@ function sampleHeightBilinear(heightData, tileSize, u, v) {
   return h0 * (1 - fy) + h1 * fy;
 }
 
-function samplePixelColor(colorData, tileSize, x, y) {
-  const position = (x + y * tileSize) * 3;
-
-  const r = colorData[position] / 255;
-  const g = colorData[position + 1] / 255;
-  const b = colorData[position + 2] / 255;
-
-  return { r, g, b };
-}
-
-function samplePixelBilinear(colorData, tileSize, u, v) {
-    v = 1 - v;
-    u = 1 - u;
-  // u, v are in [0, 1]
-  const px = u * (tileSize - 1);
-  const py = v * (tileSize - 1);
-
-  const x0 = Math.floor(px);
-  const y0 = Math.floor(py);
-  const x1 = Math.min(x0 + 1, tileSize - 1);
-  const y1 = Math.min(y0 + 1, tileSize - 1);
-
-  const fx = px - x0;
-  const fy = py - y0;
-
-  const h00 = samplePixelColor(colorData, tileSize, x0, y0);
-  const h10 = samplePixelColor(colorData, tileSize, x1, y0);
-  const h01 = samplePixelColor(colorData, tileSize, x0, y1);
-  const h11 = samplePixelColor(colorData, tileSize, x1, y1);
-
-  const h0 = lerpColor(h00, h10, fx);
-  const h1 = lerpColor(h01, h11, fx);
-
-  return lerpColor(h0, h1, fy);
+// Central difference with a one-sided fallback when a neighbour is nodata
+function slope(before, centre, after, step) {
+  const hasBefore = !Number.isNaN(before);
+  const hasAfter = !Number.isNaN(after);
+  if (hasBefore && hasAfter) {
+    return (after - before) / (2 * step);
+  } else if (hasAfter && !Number.isNaN(centre)) {
+    return (after - centre) / step;
+  } else if (hasBefore && !Number.isNaN(centre)) {
+    return (centre - before) / step;
+  }
+  return 0;
 }
 
 /**
@@ -103,6 +96,82 @@ class TileTerrainBuilder {
 
   init(params) {
     this._params = params;
+    this._plane = new geodesy.LocalTangentPlane(params.originLon, params.originLat);
+
+    // The noise only depends on the detail's feature size, so keep it
+    // while that stays the same
+    const detail = params.detail;
+    if (detail && (!this._detailNoise || this._detailFeatureSize !== detail.featureSize)) {
+      this._detailNoise = new noise.Noise({
+        seed: DETAIL_SEED,
+        octaves: DETAIL_OCTAVES,
+        persistence: 1,
+        lacunarity: 2,
+        exponentiation: 1,
+        scale: detail.featureSize,
+        height: 1
+      });
+      this._detailFeatureSize = detail.featureSize;
+    }
+  }
+
+  /**
+   * World X/Z of grid coordinates u, v, placed on the tangent plane at the
+   * world origin. Like the height samples, u runs east to west and v south
+   * to north, linearly in Web-Mercator.
+   *
+   * The plane's up component is dropped, so this is an azimuthal projection
+   * and the ground doesn't curve away from the origin: world Y stays the
+   * height above sea level everywhere, which the tools reading heights
+   * back off the meshes rely on.
+   */
+  _project(u, v) {
+    const { zoom, tileX, tileY } = this._params;
+    const lon = tileX2lon(tileX + 1 - u, zoom);
+    const lat = tileY2lat(tileY + 1 - v, zoom);
+    const enu = this._plane.forward(lon, lat);
+    return { x: -enu.east, z: enu.north };
+  }
+
+  /**
+   * Height at grid coordinates u, v in scaled meters, NaN where the data
+   * has none
+   */
+  _sampleHeight(u, v) {
+    const { heightData, tileSize, apron, heightScale, detail } = this._params;
+    let height = sampleHeightBilinear(heightData, tileSize, apron, u, v);
+    if (detail && !Number.isNaN(height)) {
+      height += this._getDetail(u, v);
+    }
+    return height * heightScale;
+  }
+
+  /**
+   * Fractal detail in meters for tiles past the data's maximum zoom
+   *
+   * The noise is laid out in Web-Mercator meters, so it lines up across
+   * tiles and zoom levels, and scaled by the data's local slope so that
+   * hillsides roughen while flats stay flat. It never exceeds a few times
+   * the feature size, too small to pass for features the data lacks.
+   */
+  _getDetail(u, v) {
+    const { heightData, tileSize, apron, zoom, tileX, tileY, detail } = this._params;
+    const tileMeters = MERCATOR_CIRCUMFERENCE / (1 << zoom);
+    const gx = tileX + 1 - u;
+    const gy = tileY + 1 - v;
+
+    // Slope of the data over one texel either side, in ground meters
+    const texel = 1 / (tileSize - 1);
+    const groundScale = Math.cos(tileY2lat(gy, zoom) * Math.PI / 180);
+    const groundTexel = tileMeters * texel * groundScale;
+    const sample = (du, dv) => sampleHeightBilinear(heightData, tileSize, apron, u + du, v + dv);
+    const dx = (sample(texel, 0) - sample(-texel, 0)) / (2 * groundTexel);
+    const dy = (sample(0, texel) - sample(0, -texel)) / (2 * groundTexel);
+    const dataSlope = Math.sqrt(dx * dx + dy * dy) || 0;
+
+    const value = this._detailNoise.Get(gx * tileMeters, gy * tileMeters, 0) * 2 - 1;
+    const amplitude = detail.strength * detail.featureSize * groundScale * (dataSlope + MIN_DETAIL_SLOPE);
+    return value * amplitude * detail.fade;
   }
 
   /**
@@ -111,22 +180,23 @@ class TileTerrainBuilder {
   buildTile() {
     const {
       resolution,
-      heightData,
-      colorData,
-      tileSize,
-      worldMinX, worldMaxX,
-      worldMinZ, worldMaxZ,
-      heightScale
+      placeholder,
+      worldMinX, worldMaxX
     } = this._params;
 
     const gridSize = resolution + 1;
     const worldWidth = worldMaxX - worldMinX;
-    const worldDepth = worldMaxZ - worldMinZ;
+
+    // Grid vertices, followed by one skirt vertex per perimeter vertex
+    const perimeter = this._getPerimeter(gridSize);
+    const numVertices = gridSize * gridSize + perimeter.length;
 
     // Generate positions and other attributes
-    const positions = new Float32Array(gridSize * gridSize * 3);
-    const colors = new Float32Array(gridSize * gridSize * 3);
-    const coords = new Float32Array(gridSize * gridSize * 3);
+    const positions = new Float32Array(numVertices * 3);
+    const colors = new Float32Array(numVertices * 3);
+    const coords = new Float32Array(numVertices * 3);
+    const uvs = new Float32Array(numVertices * 2);
+    const holes = new Uint8Array(numVertices);
 
     for (let gy = 0; gy < gridSize; gy++) {
       for (let gx = 0; gx < gridSize; gx++) {
@@ -137,11 +207,14 @@ class TileTerrainBuilder {
         const v = gy / resolution;
 
         // Sample height from tile data with bilinear interpolation
-        const height = sampleHeightBilinear(heightData, tileSize, u, v) * heightScale;
+        let height = this._sampleHeight(u, v);
+        if (Number.isNaN(height)) {
+          holes[gy * gridSize + gx] = 1;
+          height = 0;
+        }
 
         // World position
-        const posX = worldMinX + u * worldWidth;
-        const posZ = worldMinZ + v * worldDepth;
+        const { x: posX, z: posZ } = this._project(u, v);
 
         positions[idx] = posX;
         positions[idx + 1] = height;
@@ -152,58 +225,210 @@ class TileTerrainBuilder {
         coords[idx + 1] = height;
         coords[idx + 2] = posZ;
 
-        // Color based on height
-        // const color = this._getTerrainColor(height);
-        // colors[idx] = color.r;
-        // colors[idx + 1] = color.g;
-        // colors[idx + 2] = color.b;
-        const color = lerpColor(
-          samplePixelBilinear(colorData, tileSize, u, v),
-          this._getTerrainColor(height),
-          0
-        );
-        
+        // Imagery texture coords, row 0 being the tile's north edge and
+        // column 0 its west edge
+        uvs[(gy * gridSize + gx) * 2] = 1 - u;
+        uvs[(gy * gridSize + gx) * 2 + 1] = 1 - v;
+
+        // Colour by height, shown wherever the chunk has no imagery
+        let color = this._getTerrainColor(height);
+        if (placeholder &&
+            (Math.floor(gx / PLACEHOLDER_CHECK) + Math.floor(gy / PLACEHOLDER_CHECK)) % 2) {
+          color = lerpColor(color, PLACEHOLDER_COLOUR, 0.75);
+        }
+
         colors[idx] = color.r;
         colors[idx + 1] = color.g;
         colors[idx + 2] = color.b;
       }
     }
 
+    this._fixEdgesToMatchNeighbours(positions, coords, gridSize);
+
+    // Where each vertex would sit on the parent tile, for geomorphing
+    const parentPositions = this._generateParentPositions(positions, numVertices, gridSize);
+
     // Generate indices
-    const indices = this._generateIndices(resolution);
+    const indices = this._generateIndices(resolution, holes);
 
     // Generate normals
-    const normals = this._generateNormals(positions, indices, gridSize);
+    const normals = this._generateNormals(numVertices, gridSize);
+
+    // Skirts hide whatever gap is left where neighbouring zoom levels
+    // disagree on height
+    const skirtDepth = Math.abs(worldWidth) / resolution * 4;
+    this._generateSkirts(perimeter, gridSize * gridSize, skirtDepth,
+        positions, parentPositions, normals, colors, coords, uvs, holes, indices);
 
     // Create SharedArrayBuffers for transfer
     const bytesInFloat32 = 4;
     const bytesInUint32 = 4;
 
     const positionsBuffer = new Float32Array(new SharedArrayBuffer(bytesInFloat32 * positions.length));
+    const parentPositionsBuffer = new Float32Array(new SharedArrayBuffer(bytesInFloat32 * parentPositions.length));
     const normalsBuffer = new Float32Array(new SharedArrayBuffer(bytesInFloat32 * normals.length));
     const colorsBuffer = new Float32Array(new SharedArrayBuffer(bytesInFloat32 * colors.length));
     const coordsBuffer = new Float32Array(new SharedArrayBuffer(bytesInFloat32 * coords.length));
+    const uvsBuffer = new Float32Array(new SharedArrayBuffer(bytesInFloat32 * uvs.length));
     const indicesBuffer = new Uint32Array(new SharedArrayBuffer(bytesInUint32 * indices.length));
+    const holesBuffer = new Uint8Array(new SharedArrayBuffer(holes.length));
 
     positionsBuffer.set(positions);
+    parentPositionsBuffer.set(parentPositions);
     normalsBuffer.set(normals);
     colorsBuffer.set(colors);
     coordsBuffer.set(coords);
+    uvsBuffer.set(uvs);
     indicesBuffer.set(indices);
+    holesBuffer.set(holes);
 
     return {
       positions: positionsBuffer,
+      parentPositions: parentPositionsBuffer,
       normals: normalsBuffer,
       colours: colorsBuffer,
       coords: coordsBuffer,
-      indices: indicesBuffer
+      uvs: uvsBuffer,
+      indices: indicesBuffer,
+      holes: holesBuffer
     };
   }
 
   /**
-   * Generate triangle indices for the grid
+   * Snap vertices along each edge shared with a coarser neighbour onto the
+   * neighbour's straight segments, as FixEdgesToMatchNeighbours_ does for
+   * the planet. Neighbour ratios come in as [west, north, east, south].
+   */
+  _fixEdgesToMatchNeighbours(positions, coords, gridSize) {
+    const [west, north, east, south] = this._params.neighbours || [1, 1, 1, 1];
+    const resolution = gridSize - 1;
+
+    // World X runs east to west and Z south to north across the grid
+    const edges = [
+      [west, (i) => i * gridSize + resolution],
+      [north, (i) => resolution * gridSize + i],
+      [east, (i) => i * gridSize],
+      [south, (i) => i],
+    ];
+
+    for (const [ratio, vertexAt] of edges) {
+      const stride = Math.min(ratio, resolution);
+      if (stride <= 1) {
+        continue;
+      }
+
+      for (let i = 0; i + stride <= resolution; i += stride) {
+        const h1 = positions[vertexAt(i) * 3 + 1];
+        const h2 = positions[vertexAt(i + stride) * 3 + 1];
+
+        for (let j = 1; j < stride; j++) {
+          const idx = vertexAt(i + j) * 3;
+          const height = lerp(h1, h2, j / stride);
+          positions[idx + 1] = height;
+          coords[idx + 1] = height;
+        }
+      }
+    }
+  }
+
+  /**
+   * Positions of the grid vertices on the parent tile's mesh, which has
+   * every other row and column. Odd rows and columns fall on the parent's
+   * edges and diagonals, so they're averaged from their even neighbours.
+   * Called after stitching so morphing never opens a stitched edge.
+   */
+  _generateParentPositions(positions, numVertices, gridSize) {
+    const resolution = gridSize - 1;
+    const parentPositions = new Float32Array(numVertices * 3);
+
+    for (let gy = 0; gy < gridSize; gy++) {
+      for (let gx = 0; gx < gridSize; gx++) {
+        const oddX = gx % 2 && gx < resolution ? 1 : 0;
+        const oddY = gy % 2 && gy < resolution ? 1 : 0;
+
+        // Matches the diagonal _generateIndices splits each quad along
+        const a = ((gy - oddY) * gridSize + gx + oddX) * 3;
+        const b = ((gy + oddY) * gridSize + gx - oddX) * 3;
+        const idx = (gy * gridSize + gx) * 3;
+
+        for (let k = 0; k < 3; k++) {
+          parentPositions[idx + k] = (positions[a + k] + positions[b + k]) / 2;
+        }
+      }
+    }
+
+    return parentPositions;
+  }
+
+  /**
+   * Grid vertex indices around the tile edge, ordered so that skirt faces
+   * built between consecutive entries face outwards
+   */
+  _getPerimeter(gridSize) {
+    const resolution = gridSize - 1;
+    const perimeter = [];
+
+    for (let i = 0; i < resolution; i++) {
+      perimeter.push(i);
+    }
+    for (let i = 0; i < resolution; i++) {
+      perimeter.push(i * gridSize + resolution);
+    }
+    for (let i = resolution; i > 0; i--) {
+      perimeter.push(resolution * gridSize + i);
+    }
+    for (let i = resolution; i > 0; i--) {
+      perimeter.push(i * gridSize);
+    }
+
+    return perimeter;
+  }
+
+  /**
+   * Hang a vertical skirt below the tile edge. Skirt vertices start at
+   * firstSkirt and copy their edge vertex, dropped by depth.
+   */
+  _generateSkirts(perimeter, firstSkirt, depth,
+                  positions, parentPositions, normals, colors, coords, uvs, holes, indices) {
+    for (let i = 0; i < perimeter.length; i++) {
+      const src = perimeter[i] * 3;
+      const dst = (firstSkirt + i) * 3;
+
+      for (let k = 0; k < 3; k++) {
+        positions[dst + k] = positions[src + k];
+        parentPositions[dst + k] = parentPositions[src + k];
+        normals[dst + k] = normals[src + k];
+        colors[dst + k] = colors[src + k];
+        coords[dst + k] = coords[src + k];
+      }
+      uvs[(firstSkirt + i) * 2] = uvs[perimeter[i] * 2];
+      uvs[(firstSkirt + i) * 2 + 1] = uvs[perimeter[i] * 2 + 1];
+      positions[dst + 1] -= depth;
+      parentPositions[dst + 1] -= depth;
+      coords[dst + 1] -= depth;
+      holes[firstSkirt + i] = holes[perimeter[i]];
+    }
+
+    for (let i = 0; i < perimeter.length; i++) {
+      const next = (i + 1) % perimeter.length;
+      const a = perimeter[i];
+      const b = perimeter[next];
+      if (holes[a] || holes[b]) {
+        continue;
+      }
+
+      const skirtA = firstSkirt + i;
+      const skirtB = firstSkirt + next;
+      indices.push(a, b, skirtA);
+      indices.push(b, skirtB, skirtA);
+    }
+  }
+
+  /**
+   * Generate triangle indices for the grid, skipping triangles that touch
+   * a nodata vertex
    */
-  _generateIndices(resolution) {
+  _generateIndices(resolution, holes) {
     const gridSize = resolution + 1;
     const indices = [];
 
@@ -215,9 +440,13 @@ class TileTerrainBuilder {
         const bottomRight = bottomLeft + 1;
 
         // First triangle
-        indices.push(topLeft, bottomLeft, topRight);
+        if (!(holes[topLeft] || holes[bottomLeft] || holes[topRight])) {
+          indices.push(topLeft, bottomLeft, topRight);
+        }
         // Second triangle
-        indices.push(topRight, bottomLeft, bottomRight);
+        if (!(holes[topRight] || holes[bottomLeft] || holes[bottomRight])) {
+          indices.push(topRight, bottomLeft, bottomRight);
+        }
       }
     }
 
@@ -225,62 +454,37 @@ class TileTerrainBuilder {
   }
 
   /**
-   * Generate smooth normals from positions and indices
+   * Generate normals by central differences on the height field, one grid
+   * step either side. Edge vertices reach into the apron borrowed from the
+   * neighbouring tiles, so both sides of a shared edge get the same normals.
    */
-  _generateNormals(positions, indices, gridSize) {
-    const normals = new Float32Array(positions.length);
-    const _V1 = { x: 0, y: 0, z: 0 };
-    const _V2 = { x: 0, y: 0, z: 0 };
-    const _V3 = { x: 0, y: 0, z: 0 };
-
-    // Accumulate face normals to vertices
-    for (let i = 0; i < indices.length; i += 3) {
-      const i0 = indices[i] * 3;
-      const i1 = indices[i + 1] * 3;
-      const i2 = indices[i + 2] * 3;
-
-      _V1.x = positions[i0];
-      _V1.y = positions[i0 + 1];
-      _V1.z = positions[i0 + 2];
-
-      _V2.x = positions[i1];
-      _V2.y = positions[i1 + 1];
-      _V2.z = positions[i1 + 2];
-
-      _V3.x = positions[i2];
-      _V3.y = positions[i2 + 1];
-      _V3.z = positions[i2 + 2];
-
-      // Edge vectors
-      const e1 = { x: _V2.x - _V1.x, y: _V2.y - _V1.y, z: _V2.z - _V1.z };
-      const e2 = { x: _V3.x - _V1.x, y: _V3.y - _V1.y, z: _V3.z - _V1.z };
-
-      // Cross product for face normal
-      vec3Cross(_N, e1, e2);
-
-      // Accumulate to all three vertices
-      normals[i0] += _N.x;
-      normals[i0 + 1] += _N.y;
-      normals[i0 + 2] += _N.z;
-
-      normals[i1] += _N.x;
-      normals[i1 + 1] += _N.y;
-      normals[i1 + 2] += _N.z;
-
-      normals[i2] += _N.x;
-      normals[i2 + 1] += _N.y;
-      normals[i2 + 2] += _N.z;
-    }
+  _generateNormals(numVertices, gridSize) {
+    const resolution = gridSize - 1;
+    const step = 1 / resolution;
+    const sample = (u, v) => this._sampleHeight(u, v);
+
+    const normals = new Float32Array(numVertices * 3);
 
-    // Normalize all normals
-    for (let i = 0; i < normals.length; i += 3) {
-      _N.x = normals[i];
-      _N.y = normals[i + 1];
-      _N.z = normals[i + 2];
-      vec3Normalize(_N);
-      normals[i] = _N.x;
-      normals[i + 1] = _N.y;
-      normals[i + 2] = _N.z;
+    for (let gy = 0; gy < gridSize; gy++) {
+      for (let gx = 0; gx < gridSize; gx++) {
+        const idx = (gy * gridSize + gx) * 3;
+        const u = gx / resolution;
+        const v = gy / resolution;
+        const h = sample(u, v);
+
+        // Ground distance of one grid step, which varies across the tile
+        const stepX = (this._project(u + step, v).x - this._project(u - step, v).x) / 2;
+        const stepZ = (this._project(u, v + step).z - this._project(u, v - step).z) / 2;
+
+        _N.x = -slope(sample(u - step, v), h, sample(u + step, v), stepX);
+        _N.y = 1;
+        _N.z = -slope(sample(u, v - step), h, sample(u, v + step), stepZ);
+        vec3Normalize(_N);
+
+        normals[idx] = _N.x;
+        normals[idx + 1] = _N.y;
+        normals[idx + 2] = _N.z;
+      }
     }
 
     return normals;
@@ -5,7 +5,12 @@
 
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
 
+import {dem_terrain} from './dem-terrain.js';
+import {geodesy} from './geodesy.js';
+import {heightmap_export} from './heightmap-export.js';
 import {mapbox_terrain} from './mapbox-terrain.js';
+import {terrain_export} from './terrain-export.js';
+import {terrain_provider} from './terrain-provider.js';
 import {terrain_shader} from './terrain-shader.js';
 
 export const flat_terrain = (function() {
@@ -24,11 +29,62 @@ export const flat_terrain = (function() {
   // const DEFAULT_CENTER_LAT = 41.3058;
   // const DEFAULT_CENTER_LON = -94.4592;
 
+  // Selectable elevation sources
+  const TERRAIN_SOURCES = {
+    MAPBOX: 'Mapbox Terrain-RGB',
+    TERRARIUM: 'Terrarium (AWS)',
+    CUSTOM: 'Custom XYZ',
+    DEM: 'Local DEM'
+  };
+
+  const IMAGERY_SOURCES = {
+    NONE: 'None',
+    MAPBOX: 'Mapbox Satellite',
+    CUSTOM: 'Custom XYZ'
+  };
+
+  // How long a chunk whose imagery failed waits before asking again; the
+  // imagery provider backs off the requests themselves
+  const IMAGERY_RETRY_DELAY = 5000;
+
+  // Imagery is mostly seen at grazing angles; three.js clamps this to what
+  // the GPU supports
+  const IMAGERY_ANISOTROPY = 8;
+
   // Earth circumference at equator in meters
   const EARTH_CIRCUMFERENCE = 40075016.686;
 
+  // Distance from the origin (meters) at which the world is re-centered
+  // under the camera
+  const RECENTER_DISTANCE = 50000;
+
+  // Height bounds (meters) assumed for tiles with nothing cached to measure,
+  // wide enough to cover any terrain on Earth
+  const UNKNOWN_MIN_HEIGHT = -500;
+  const UNKNOWN_MAX_HEIGHT = 9000;
+
+  // Smallest slope assumed when estimating a tile's geometric error, so that
+  // even flat tiles refine eventually
+  const MIN_ROUGHNESS = 0.05;
+
+  // Ray marching limits for FlatTerrainManager.raycast (meters / iterations)
+  const RAYCAST_MIN_STEP = 1;
+  const RAYCAST_MAX_STEP = 500;
+  const RAYCAST_MAX_STEPS = 4000;
+  const RAYCAST_REFINE_STEPS = 24;
+
+  // Tile offsets of the edge neighbours, in the order the worker expects
+  // them: west, north, east, south
+  const NEIGHBOUR_OFFSETS = [[-1, 0], [0, -1], [1, 0], [0, 1]];
+
   let _workerIds = 0;
 
+  // Key of the tile at zoom az that contains tile (z, x, y)
+  function getAncestorKey(z, x, y, az) {
+    const shift = z - az;
+    return `${az}/${x >> shift}/${y >> shift}`;
+  }
+
   /**
    * Worker thread wrapper
    */
@@ -56,6 +112,9 @@ export const flat_terrain = (function() {
 
   /**
    * Worker pool for parallel chunk building
+   *
+   * Jobs may carry a key so that reprioritise() can reorder or drop them
+   * while they wait for a worker.
    */
   class WorkerPool {
     constructor(size, workerPath) {
@@ -73,17 +132,37 @@ export const flat_terrain = (function() {
       return this._queue.length;
     }
 
-    enqueue(workItem, resolve) {
-      this._queue.push([workItem, resolve]);
+    enqueue(workItem, resolve, key = null) {
+      this._queue.push({ workItem, resolve, key });
       this._pump();
     }
 
+    /**
+     * Sort waiting jobs by rank(key), lowest first, and drop those ranked
+     * null, resolving them with a 'cancelled' result. Jobs without a key
+     * stay at the front.
+     */
+    reprioritise(rank) {
+      const ranked = [];
+      for (const job of this._queue) {
+        const r = job.key === null ? -Infinity : rank(job.key);
+        if (r === null) {
+          job.resolve({ subject: 'cancelled' });
+        } else {
+          ranked.push([r, job]);
+        }
+      }
+
+      ranked.sort((a, b) => a[0] - b[0]);
+      this._queue = ranked.map(([, job]) => job);
+    }
+
     _pump() {
       while (this._free.length > 0 && this._queue.length > 0) {
         const worker = this._free.pop();
         this._busy[worker.id] = worker;
 
-        const [workItem, workResolve] = this._queue.shift();
+        const { workItem, resolve: workResolve } = this._queue.shift();
 
         worker.postMessage(workItem, (result) => {
           delete this._busy[worker.id];
@@ -158,6 +237,7 @@ export const flat_terrain = (function() {
       this._mesh = null;
       this._geometry = null;
       this._visible = false;
+      this._offset = new THREE.Vector3();
 
       this._init();
     }
@@ -167,7 +247,23 @@ export const flat_terrain = (function() {
       this._mesh = new THREE.Mesh(this._geometry, this._params.material);
       this._mesh.castShadow = false;
       this._mesh.receiveShadow = true;
+      // The floating origin moves the mesh away from where three.js would
+      // test it; the manager culls tiles against the frustum itself
       this._mesh.frustumCulled = false;
+      this._mesh.visible = false;
+
+      // The material is shared between chunks, so each one pushes its own
+      // morph range just before it's drawn
+      this._morphRange = new THREE.Vector2();
+      this._mesh.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+        material.uniforms.morphRange.value.copy(this._morphRange);
+        material.uniforms.imageryMap.value = this._imageryTexture;
+        material.uniforms.hasImagery.value = this._imageryTexture !== null;
+        material.uniformsNeedUpdate = true;
+      };
+
+      this._imagery = null;
+      this._imageryTexture = null;
 
       this._params.group.add(this._mesh);
     }
@@ -176,18 +272,32 @@ export const flat_terrain = (function() {
 
     rebuildFromData(data) {
       this._geometry.setAttribute('position', new THREE.Float32BufferAttribute(data.positions, 3));
+      this._geometry.setAttribute('parentPosition', new THREE.Float32BufferAttribute(data.parentPositions, 3));
       this._geometry.setAttribute('normal', new THREE.Float32BufferAttribute(data.normals, 3));
       this._geometry.setAttribute('color', new THREE.Float32BufferAttribute(data.colours, 3));
       this._geometry.setAttribute('coords', new THREE.Float32BufferAttribute(data.coords, 3));
+      this._geometry.setAttribute('uv', new THREE.Float32BufferAttribute(data.uvs, 2));
       this._geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
 
       this._geometry.attributes.position.needsUpdate = true;
+      this._geometry.attributes.parentPosition.needsUpdate = true;
       this._geometry.attributes.normal.needsUpdate = true;
       this._geometry.attributes.color.needsUpdate = true;
       this._geometry.attributes.coords.needsUpdate = true;
+      this._geometry.attributes.uv.needsUpdate = true;
 
       this._geometry.computeBoundingBox();
       this._geometry.computeBoundingSphere();
+      this._offset.set(0, 0, 0);
+    }
+
+    /**
+     * Shift the mesh by dx, dz world meters until it's next rebuilt, to
+     * carry it over to a moved world origin
+     */
+    translate(dx, dz) {
+      this._offset.x += dx;
+      this._offset.z += dz;
     }
 
     show() {
@@ -204,18 +314,55 @@ export const flat_terrain = (function() {
       }
     }
 
+    setMorphRange(start, end) {
+      this._morphRange.set(start, end);
+    }
+
+    /**
+     * Drape imagery ({width, height, colors}) over the chunk, or go back to
+     * vertex colours with null. The chunk owns the texture it uploads and
+     * frees it once replaced or destroyed.
+     */
+    setImagery(imagery) {
+      if (imagery === this._imagery) {
+        return;
+      }
+
+      this._imagery = imagery;
+      if (this._imageryTexture) {
+        this._imageryTexture.dispose();
+        this._imageryTexture = null;
+      }
+      if (!imagery) {
+        return;
+      }
+
+      const texture = new THREE.DataTexture(
+          imagery.colors, imagery.width, imagery.height, THREE.RGBFormat);
+      texture.unpackAlignment = 1;
+      texture.wrapS = THREE.ClampToEdgeWrapping;
+      texture.wrapT = THREE.ClampToEdgeWrapping;
+      texture.magFilter = THREE.LinearFilter;
+      texture.minFilter = THREE.LinearMipmapLinearFilter;
+      texture.generateMipmaps = true;
+      texture.anisotropy = IMAGERY_ANISOTROPY;
+      texture.needsUpdate = true;
+      this._imageryTexture = texture;
+    }
+
     update(cameraPosition) {
       // Floating origin - offset mesh by negative camera position
       this._mesh.position.set(
-        -cameraPosition.x,
-        -cameraPosition.y,
-        -cameraPosition.z
+        this._offset.x - cameraPosition.x,
+        this._offset.y - cameraPosition.y,
+        this._offset.z - cameraPosition.z
       );
     }
 
     destroy() {
       this._params.group.remove(this._mesh);
       this._geometry.dispose();
+      this.setImagery(null);
     }
   }
 
@@ -231,18 +378,50 @@ export const flat_terrain = (function() {
       // Geographic center (world origin)
       this._centerLon = DEFAULT_CENTER_LON;
       this._centerLat = DEFAULT_CENTER_LAT;
+      this._tangentPlane = new geodesy.LocalTangentPlane(this._centerLon, this._centerLat);
 
       // LOD settings
       this._minZoom = 11;      // Farthest tiles (largest)
       this._maxZoom = 14;     // Nearest tiles (smallest, most detailed)
-      this._lodFactor = 1.5;  // Distance multiplier for LOD transitions
+      this._overZoomLevels = 3;  // Levels past maxZoom made up from the data plus noise
+      this._detailStrength = 0.5;  // Amplitude of that noise, relative to its wavelength
+      this._maxPixelError = 2;  // Target screen-space error for LOD transitions
+      this._morphBand = 0.3;  // Fraction of the LOD switch distance spent morphing
       this._resolution = 64;  // Vertices per tile edge
       this._heightScale = 1.0;
 
+      // Camera frustum, refreshed each time tiles are selected
+      this._frustum = new THREE.Frustum();
+
+      // Offline tile cache budget
+      this._offlineCacheMB = 512;
+
+      // Elevation source
+      this._terrainSource = TERRAIN_SOURCES.MAPBOX;
+      this._customUrl = 'tiles/{z}/{x}/{y}.png';
+      this._customEncoding = 'terrain-rgb';
+
+      // Local DEM (GeoTIFF / .hgt)
+      this._demUrl = '';
+      this._demRasters = [];
+      this._nodataMode = 'hole';
+      this._nodataFill = 0;
+
       // Mapbox
       this._mapboxToken = '';
       this._terrainProvider = null;
 
+      // Imagery, loaded independently of elevation and at its own zoom
+      this._imagerySource = IMAGERY_SOURCES.MAPBOX;
+      this._imageryUrl = 'imagery/{z}/{x}/{y}.jpg';
+      this._imageryMaxZoom = 19;
+      this._imageryZoomOffset = 0;
+      this._imageryProvider = null;
+      this._imageryGeneration = 0;  // Bumped whenever imagery settings change
+
+      // Region export
+      this._exporting = false;
+
       // Chunk loading throttling
       this._loadingChunks = 0;
       this._maxConcurrentLoads = 6;
@@ -254,7 +433,10 @@ export const flat_terrain = (function() {
       this._initWorkerPool();
       this._initMaterial();
       this._initTerrainProvider();
+      this._initImageryProvider();
       this._initGui();
+      this._initDemDrop();
+      this._initExport();
 
       this._group = new THREE.Group();
       this._params.scene.add(this._group);
@@ -271,12 +453,17 @@ export const flat_terrain = (function() {
       noiseTexture.wrapT = THREE.RepeatWrapping;
 
       this._material = new THREE.RawShaderMaterial({
-        uniforms: {
+        uniforms: Object.assign({
           noiseMap: { value: noiseTexture },
           logDepthBufFC: {
             value: 2.0 / (Math.log(this._params.camera.far + 1.0) / Math.LN2)
-          }
-        },
+          },
+          morphRange: { value: new THREE.Vector2() },
+          imageryMap: { value: null },
+          hasImagery: { value: false },
+          heightScale: { value: this._heightScale },
+          planetRadius: { value: 0 }
+        }, this._params.overlays ? this._params.overlays.uniforms : {}),
         vertexShader: terrain_shader.VS,
         fragmentShader: terrain_shader.PS,
         side: THREE.FrontSide
@@ -284,12 +471,62 @@ export const flat_terrain = (function() {
     }
 
     _initTerrainProvider() {
-      this._terrainProvider = new mapbox_terrain.MapboxTerrainProvider({
-        accessToken: this._mapboxToken,
+      // Tiles stay in meters; the height scale is applied once, when
+      // meshes are built, so cached tiles are right whatever it's set to
+      const params = {
         zoom: this._maxZoom,  // Provider uses max zoom for fetching
-        heightScale: this._heightScale,
-        cacheSize: 1024
-      });
+        cacheSize: 1024,
+        persistentCacheBytes: this._offlineCacheMB * 1024 * 1024
+      };
+
+      switch (this._terrainSource) {
+        case TERRAIN_SOURCES.TERRARIUM:
+          this._terrainProvider = new terrain_provider.TerrariumTerrainProvider(params);
+          break;
+        case TERRAIN_SOURCES.DEM:
+          this._terrainProvider = new dem_terrain.DemTerrainProvider(Object.assign(params, {
+            rasters: this._demRasters,
+            nodataMode: this._nodataMode,
+            nodataFill: this._nodataFill
+          }));
+          break;
+        case TERRAIN_SOURCES.CUSTOM:
+          this._terrainProvider = new terrain_provider.XYZTerrainProvider(Object.assign(params, {
+            url: this._customUrl,
+            encoding: this._customEncoding
+          }));
+          break;
+        default:
+          this._terrainProvider = new mapbox_terrain.MapboxTerrainProvider(Object.assign(params, {
+            accessToken: this._mapboxToken
+          }));
+          break;
+      }
+    }
+
+    _initImageryProvider() {
+      const params = {
+        maxZoom: this._imageryMaxZoom,
+        zoomOffset: this._imageryZoomOffset,
+        cacheSize: 256,
+        persistentCacheBytes: this._offlineCacheMB * 1024 * 1024
+      };
+
+      switch (this._imagerySource) {
+        case IMAGERY_SOURCES.NONE:
+          this._imageryProvider = null;
+          break;
+        case IMAGERY_SOURCES.CUSTOM:
+          this._imageryProvider = new terrain_provider.XYZImageryProvider(Object.assign(params, {
+            url: this._imageryUrl
+          }));
+          break;
+        default:
+          this._imageryProvider = new mapbox_terrain.MapboxImageryProvider(Object.assign(params, {
+            accessToken: this._mapboxToken
+          }));
+          break;
+      }
     }
 
     _initGui() {
@@ -297,22 +534,89 @@ export const flat_terrain = (function() {
       const guiParams = this._params.guiParams;
 
       guiParams.mapbox = {
+        source: this._terrainSource,
+        customUrl: this._customUrl,
+        customEncoding: this._customEncoding,
+        demUrl: this._demUrl,
+        nodataMode: this._nodataMode,
+        nodataFill: this._nodataFill,
         accessToken: this._mapboxToken,
         minZoom: this._minZoom,
         maxZoom: this._maxZoom,
-        lodFactor: this._lodFactor,
+        overZoomLevels: this._overZoomLevels,
+        detailStrength: this._detailStrength,
+        maxPixelError: this._maxPixelError,
+        morphBand: this._morphBand,
         centerLat: this._centerLat,
         centerLon: this._centerLon,
         heightScale: this._heightScale,
-        wireframe: false
+        wireframe: false,
+        offlineCacheMB: this._offlineCacheMB,
+        clearOfflineCache: () => {
+          const providers = [this._terrainProvider, this._imageryProvider].filter((p) => p);
+          Promise.all(providers.map((p) => p.clearPersistentCache())).catch(err => {
+            console.error('Error clearing offline tile cache:', err);
+          });
+        }
       };
 
       const folder = gui.addFolder('Mapbox Terrain');
 
+      this._sourceController = folder.add(guiParams.mapbox, 'source', Object.values(TERRAIN_SOURCES)).name('Elevation Source').onChange((v) => {
+        this._terrainSource = v;
+        this._initTerrainProvider();
+        this._rebuildAllChunks();
+      });
+
+      folder.add(guiParams.mapbox, 'customUrl').name('Custom URL').onFinishChange((v) => {
+        this._customUrl = v;
+        if (this._terrainSource === TERRAIN_SOURCES.CUSTOM) {
+          this._initTerrainProvider();
+          this._rebuildAllChunks();
+        }
+      });
+
+      folder.add(guiParams.mapbox, 'customEncoding', Object.keys(terrain_provider.ELEVATION_ENCODINGS)).name('Custom Encoding').onChange((v) => {
+        this._customEncoding = v;
+        if (this._terrainSource === TERRAIN_SOURCES.CUSTOM) {
+          this._initTerrainProvider();
+          this._rebuildAllChunks();
+        }
+      });
+
+      folder.add(guiParams.mapbox, 'demUrl').name('DEM URL').onFinishChange((v) => {
+        this._demUrl = v;
+        if (v) {
+          this._loadDemFromUrl(v);
+        }
+      });
+
+      folder.add(guiParams.mapbox, 'nodataMode', ['hole', 'fill']).name('DEM Nodata').onChange((v) => {
+        this._nodataMode = v;
+        if (this._terrainSource === TERRAIN_SOURCES.DEM) {
+          this._initTerrainProvider();
+          this._rebuildAllChunks();
+        }
+      });
+
+      folder.add(guiParams.mapbox, 'nodataFill', -500, 9000).name('DEM Nodata Fill (m)').onFinishChange((v) => {
+        this._nodataFill = v;
+        if (this._terrainSource === TERRAIN_SOURCES.DEM && this._nodataMode === 'fill') {
+          this._initTerrainProvider();
+          this._rebuildAllChunks();
+        }
+      });
+
       folder.add(guiParams.mapbox, 'accessToken').name('Access Token').onFinishChange((v) => {
         this._mapboxToken = v;
-        this._terrainProvider.accessToken = v;
-        this._rebuildAllChunks();
+        if (this._terrainSource === TERRAIN_SOURCES.MAPBOX) {
+          this._terrainProvider.accessToken = v;
+          this._rebuildAllChunks();
+        }
+        if (this._imagerySource === IMAGERY_SOURCES.MAPBOX) {
+          this._imageryProvider.accessToken = v;
+          this._resetImagery();
+        }
       });
 
       folder.add(guiParams.mapbox, 'minZoom', 1, 12, 1).name('Min Zoom (far)').onChange((v) => {
@@ -326,23 +630,34 @@ export const flat_terrain = (function() {
         this._rebuildAllChunks();
       });
 
-      folder.add(guiParams.mapbox, 'lodFactor', 0.5, 3.0).name('LOD Factor').onChange((v) => {
-        this._lodFactor = v;
+      folder.add(guiParams.mapbox, 'overZoomLevels', 0, 4, 1).name('Over-zoom Levels').onChange((v) => {
+        this._overZoomLevels = v;
       });
 
-      folder.add(guiParams.mapbox, 'centerLat', -85, 85).name('Center Latitude').onChange((v) => {
-        this._centerLat = v;
+      folder.add(guiParams.mapbox, 'detailStrength', 0, 2).name('Over-zoom Detail').onFinishChange((v) => {
+        this._detailStrength = v;
         this._rebuildAllChunks();
       });
 
-      folder.add(guiParams.mapbox, 'centerLon', -180, 180).name('Center Longitude').onChange((v) => {
-        this._centerLon = v;
-        this._rebuildAllChunks();
+      folder.add(guiParams.mapbox, 'maxPixelError', 0.5, 16).name('Target Pixel Error').onChange((v) => {
+        this._maxPixelError = v;
+      });
+
+      folder.add(guiParams.mapbox, 'morphBand', 0.0, 1.0).name('LOD Morph Band').onChange((v) => {
+        this._morphBand = v;
+      });
+
+      this._centerLatController = folder.add(guiParams.mapbox, 'centerLat', -85, 85).name('Center Latitude').onChange((v) => {
+        this._setCenter(this._centerLon, v);
+      });
+
+      this._centerLonController = folder.add(guiParams.mapbox, 'centerLon', -180, 180).name('Center Longitude').onChange((v) => {
+        this._setCenter(v, this._centerLat);
       });
 
       folder.add(guiParams.mapbox, 'heightScale', 0.1, 5).name('Height Scale').onChange((v) => {
         this._heightScale = v;
-        this._terrainProvider.heightScale = v;
+        this._material.uniforms.heightScale.value = v;
         this._rebuildAllChunks();
       });
 
@@ -350,15 +665,341 @@ export const flat_terrain = (function() {
         this._material.wireframe = v;
       });
 
+      folder.add(guiParams.mapbox, 'offlineCacheMB', 64, 4096, 64).name('Offline Cache (MB)').onChange((v) => {
+        this._offlineCacheMB = v;
+        this._terrainProvider.persistentCacheBytes = v * 1024 * 1024;
+        if (this._imageryProvider) {
+          this._imageryProvider.persistentCacheBytes = v * 1024 * 1024;
+        }
+      });
+
+      folder.add(guiParams.mapbox, 'clearOfflineCache').name('Clear Offline Cache');
+
       folder.open();
+
+      guiParams.imagery = {
+        source: this._imagerySource,
+        customUrl: this._imageryUrl,
+        maxZoom: this._imageryMaxZoom,
+        zoomOffset: this._imageryZoomOffset
+      };
+
+      const imageryFolder = gui.addFolder('Imagery');
+
+      imageryFolder.add(guiParams.imagery, 'source', Object.values(IMAGERY_SOURCES)).name('Imagery Source').onChange((v) => {
+        this._imagerySource = v;
+        this._initImageryProvider();
+        this._resetImagery();
+      });
+
+      imageryFolder.add(guiParams.imagery, 'customUrl').name('Custom URL').onFinishChange((v) => {
+        this._imageryUrl = v;
+        if (this._imagerySource === IMAGERY_SOURCES.CUSTOM) {
+          this._initImageryProvider();
+          this._resetImagery();
+        }
+      });
+
+      imageryFolder.add(guiParams.imagery, 'maxZoom', 0, 22, 1).name('Imagery Max Zoom').onChange((v) => {
+        this._imageryMaxZoom = v;
+        if (this._imageryProvider) {
+          this._imageryProvider.maxZoom = v;
+          this._resetImagery();
+        }
+      });
+
+      imageryFolder.add(guiParams.imagery, 'zoomOffset', -3, 1, 1).name('Imagery Zoom Offset').onChange((v) => {
+        this._imageryZoomOffset = v;
+        if (this._imageryProvider) {
+          this._imageryProvider.zoomOffset = v;
+          this._resetImagery();
+        }
+      });
+
+      // Tiles currently failing to load, by cause; refreshed in Update
+      guiParams.tileErrors = {
+        unauthorized: 0,
+        notFound: 0,
+        rateLimited: 0,
+        network: 0,
+        other: 0
+      };
+
+      const errorsFolder = gui.addFolder('Tile Errors');
+      errorsFolder.add(guiParams.tileErrors, 'unauthorized').name('401 Bad Token').listen();
+      errorsFolder.add(guiParams.tileErrors, 'notFound').name('404 No Coverage').listen();
+      errorsFolder.add(guiParams.tileErrors, 'rateLimited').name('429 Rate Limited').listen();
+      errorsFolder.add(guiParams.tileErrors, 'network').name('Network').listen();
+      errorsFolder.add(guiParams.tileErrors, 'other').name('Other').listen();
+    }
+
+    _updateTileErrors() {
+      const counts = this._terrainProvider.getFailureCounts();
+      if (this._imageryProvider) {
+        for (const [kind, count] of Object.entries(this._imageryProvider.getFailureCounts())) {
+          counts[kind] = (counts[kind] || 0) + count;
+        }
+      }
+      Object.assign(this._params.guiParams.tileErrors, {
+        unauthorized: counts['unauthorized'] || 0,
+        notFound: counts['not-found'] || 0,
+        rateLimited: counts['rate-limited'] || 0,
+        network: counts['network'] || 0,
+        other: (counts['http'] || 0) + (counts['decode'] || 0)
+      });
+    }
+
+    /**
+     * Accept GeoTIFF / .hgt files dropped anywhere on the page
+     */
+    _initDemDrop() {
+      document.addEventListener('dragover', (e) => {
+        e.preventDefault();
+      });
+
+      document.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const files = [...e.dataTransfer.files];
+        if (files.length === 0) {
+          return;
+        }
+
+        Promise.all(files.map(async (f) => dem_terrain.parseDEM(await f.arrayBuffer(), f.name)))
+          .then(rasters => this._useDemRasters(rasters))
+          .catch(err => {
+            console.error('Error loading DEM:', err);
+          });
+      });
+    }
+
+    _loadDemFromUrl(url) {
+      dem_terrain.loadDEMFromUrl(url)
+        .then(raster => this._useDemRasters([raster]))
+        .catch(err => {
+          console.error('Error loading DEM:', err);
+        });
+    }
+
+    /**
+     * Switch to the DEM source and re-center the world on its coverage
+     */
+    _useDemRasters(rasters) {
+      this._demRasters = rasters;
+      this._sourceController.setValue(TERRAIN_SOURCES.DEM);
+
+      const bounds = this._terrainProvider.bounds;
+      this._setCenter((bounds.west + bounds.east) / 2, (bounds.south + bounds.north) / 2);
+    }
+
+    /**
+     * Region export: a box dragged out on screen or typed in, built at its
+     * own zoom and downloaded as a GLB, OBJ or STL mesh or as a heightmap
+     */
+    _initExport() {
+      const guiParams = this._params.guiParams;
+
+      // Start with a box around the centre small enough for the default zoom
+      const span = 0.05;
+      guiParams.export = {
+        west: this._centerLon - span,
+        south: this._centerLat - span,
+        east: this._centerLon + span,
+        north: this._centerLat + span,
+        zoom: 12,
+        format: terrain_export.FORMATS[0],
+        exaggeration: 1,
+        baseDepth: 100,
+        heightmapFormat: heightmap_export.FORMATS[0],
+        heightmapWidth: 1025,
+        heightmapHeight: 1025,
+        minElevation: 0,
+        maxElevation: 0,
+        status: '',
+        selectRegion: () => this._regionSelector.arm(),
+        export: () => this._exportRegion(),
+        exportHeightmap: () => this._exportHeightmap()
+      };
+
+      const folder = this._params.gui.addFolder('Export');
+
+      folder.add(guiParams.export, 'selectRegion').name('Select Region (drag)');
+
+      const boundsControllers = [
+        folder.add(guiParams.export, 'west').step(0.0001).name('West Longitude'),
+        folder.add(guiParams.export, 'south').step(0.0001).name('South Latitude'),
+        folder.add(guiParams.export, 'east').step(0.0001).name('East Longitude'),
+        folder.add(guiParams.export, 'north').step(0.0001).name('North Latitude')
+      ];
+      const zoomController = folder.add(guiParams.export, 'zoom', 1, 15, 1).name('Zoom');
+
+      folder.add(guiParams.export, 'format', terrain_export.FORMATS).name('Format');
+      folder.add(guiParams.export, 'exaggeration', 1, 10).name('Vertical Exaggeration');
+      folder.add(guiParams.export, 'baseDepth', 0, 5000).name('STL Base Depth (m)');
+      folder.add(guiParams.export, 'export').name('Export');
+      folder.add(guiParams.export, 'heightmapFormat', heightmap_export.FORMATS).name('Heightmap Format');
+      folder.add(guiParams.export, 'heightmapWidth', 2, 8193, 1).name('Heightmap Width');
+      folder.add(guiParams.export, 'heightmapHeight', 2, 8193, 1).name('Heightmap Height');
+      folder.add(guiParams.export, 'exportHeightmap').name('Export Heightmap');
+      folder.add(guiParams.export, 'minElevation').name('Min Elevation (m)').listen();
+      folder.add(guiParams.export, 'maxElevation').name('Max Elevation (m)').listen();
+      folder.add(guiParams.export, 'status').name('Status').listen();
+
+      this._regionSelector = new terrain_export.RegionSelector({
+        camera: this._params.camera,
+        raycast: (origin, direction) => this.raycast(origin, direction),
+        onSelect: (bbox) => {
+          Object.assign(guiParams.export, bbox);
+          boundsControllers.forEach((c) => c.updateDisplay());
+          zoomController.setValue(this._getExportZoom(bbox));
+        }
+      });
+    }
+
+    // Finest zoom, up to the data's, at which a box fits in one export
+    _getExportZoom(bbox) {
+      for (let z = this._maxZoom; z > 1; z--) {
+        try {
+          terrain_export.getRegionTiles(bbox, z);
+          return z;
+        } catch (err) {
+          // Too many tiles, try coarser
+        }
+      }
+      return 1;
+    }
+
+    _exportRegion() {
+      if (this._exporting) {
+        return;
+      }
+
+      const options = this._params.guiParams.export;
+      const bbox = this._getExportBox();
+      const filename = `terrain_z${options.zoom}_${bbox.south.toFixed(4)}_${bbox.west.toFixed(4)}.${options.format.toLowerCase()}`;
+
+      this._exporting = true;
+      options.status = 'Building...';
+      terrain_export.buildRegion({
+        bbox: bbox,
+        zoom: options.zoom,
+        resolution: this._resolution,
+        terrainProvider: this._terrainProvider,
+        imageryProvider: options.format === 'GLB' ? this._imageryProvider : null,
+        buildTile: (z, x, y, origin) => this._buildExportTile(z, x, y, origin)
+      })
+        .then((field) => terrain_export.exportField(field, options))
+        .then((blob) => {
+          terrain_export.download(blob, filename);
+          options.status = `Saved ${(blob.size / (1024 * 1024)).toFixed(1)} MB`;
+        })
+        .catch((err) => {
+          console.error('Error exporting region:', err);
+          options.status = `Failed: ${err.message}`;
+        })
+        .finally(() => {
+          this._exporting = false;
+        });
+    }
+
+    // Box typed into or dragged out in the Export folder
+    _getExportBox() {
+      const options = this._params.guiParams.export;
+      return {
+        west: options.west,
+        south: options.south,
+        east: options.east,
+        north: options.north
+      };
+    }
+
+    /**
+     * Download the elevation under the export box, reporting the min and
+     * max elevation the PNG is normalised between
+     */
+    _exportHeightmap() {
+      if (this._exporting) {
+        return;
+      }
+
+      const options = this._params.guiParams.export;
+      const bbox = this._getExportBox();
+      const format = options.heightmapFormat;
+      const width = options.heightmapWidth;
+      const height = options.heightmapHeight;
+      const filename = `heightmap_z${options.zoom}_${bbox.south.toFixed(4)}_${bbox.west.toFixed(4)}_${width}x${height}.${heightmap_export.EXTENSIONS[format]}`;
+
+      this._exporting = true;
+      options.status = 'Sampling...';
+      heightmap_export.buildHeightmap({
+        terrainProvider: this._terrainProvider,
+        bbox: bbox,
+        zoom: options.zoom,
+        width: width,
+        height: height
+      })
+        .then((heightmap) => {
+          options.minElevation = heightmap.min;
+          options.maxElevation = heightmap.max;
+          return heightmap_export.encodeHeightmap(heightmap, format);
+        })
+        .then((blob) => {
+          terrain_export.download(blob, filename);
+          options.status = `Saved ${(blob.size / (1024 * 1024)).toFixed(1)} MB`;
+        })
+        .catch((err) => {
+          console.error('Error exporting heightmap:', err);
+          options.status = `Failed: ${err.message}`;
+        })
+        .finally(() => {
+          this._exporting = false;
+        });
+    }
+
+    /**
+     * Build a cached tile for export, around origin {lon, lat}: unstitched,
+     * without over-zoom detail and in real meters whatever the height scale
+     */
+    _buildExportTile(z, x, y, origin) {
+      const tileData = this._terrainProvider.getCachedTile(z, x, y);
+
+      // World bounds only size the skirts, which aren't exported
+      const tile = {
+        z, x, y,
+        neighbours: [1, 1, 1, 1],
+        worldBounds: { minX: 0, maxX: 0, minZ: 0, maxZ: 0 }
+      };
+      const params = Object.assign(this._getWorkerParams(tileData, tile), {
+        placeholder: false,
+        detail: null,
+        heightScale: 1,
+        originLon: origin.lon,
+        originLat: origin.lat
+      });
+
+      return new Promise((resolve) => {
+        this._workerPool.enqueue({ subject: 'build_tile', params }, (result) => resolve(result.data));
+      });
+    }
+
+    /**
+     * Drop every chunk's imagery after the imagery settings changed. Chunks
+     * go back to procedural colours until the new imagery arrives.
+     */
+    _resetImagery() {
+      this._imageryGeneration++;
+      for (const key in this._chunks) {
+        this._chunks[key].imagery = null;
+        this._chunks[key].imageryRetryAt = 0;
+      }
     }
 
     _rebuildAllChunks() {
-      // Destroy all existing chunks
+      // Destroy all existing chunks and abandon their loads
       for (const key in this._chunks) {
         if (this._chunks[key].chunk) {
           this._chunks[key].chunk.destroy();
         }
+        this._chunks[key].controller.abort();
       }
       this._chunks = {};
     }
@@ -366,55 +1007,223 @@ export const flat_terrain = (function() {
     /**
      * Convert world position (meters from center) to lon/lat
      */
-    // worldToLonLat(worldX, worldZ) {
-    //   const metersPerDegreeLon = EARTH_CIRCUMFERENCE * Math.cos(this._centerLat * Math.PI / 180) / 360;
-    //   const metersPerDegreeLat = EARTH_CIRCUMFERENCE / 360;
-
-    //   const lon = this._centerLon + worldX / metersPerDegreeLon;
-    //   const lat = this._centerLat + worldZ / metersPerDegreeLat;
-    //   return { lon, lat };
-    // }
     worldToLonLat(worldX, worldZ) {
-      const metersPerDegreeLon = EARTH_CIRCUMFERENCE * Math.cos(this._centerLat * Math.PI / 180) / 360;
-      const metersPerDegreeLat = EARTH_CIRCUMFERENCE / 360;
- 
       // Negate worldX because our world has west=+X, east=-X
-      const lon = this._centerLon - worldX / metersPerDegreeLon;
-      const lat = this._centerLat + worldZ / metersPerDegreeLat;
-      return { lon, lat };
+      return this._tangentPlane.inverse(-worldX, worldZ);
     }
 
     /**
      * Convert lon/lat to world position (meters from center)
      */
-    // lonLatToWorld(lon, lat) {
-    //   const metersPerDegreeLon = EARTH_CIRCUMFERENCE * Math.cos(this._centerLat * Math.PI / 180) / 360;
-    //   const metersPerDegreeLat = EARTH_CIRCUMFERENCE / 360;
-
-    //   const worldX = (lon - this._centerLon) * metersPerDegreeLon;
-    //   const worldZ = (lat - this._centerLat) * metersPerDegreeLat;
-    //   return { x: worldX, z: worldZ };
-    // }
-    
     lonLatToWorld(lon, lat) {
-      const metersPerDegreeLon = EARTH_CIRCUMFERENCE * Math.cos(this._centerLat * Math.PI / 180) / 360;
-      const metersPerDegreeLat = EARTH_CIRCUMFERENCE / 360;
- 
+      const enu = this._tangentPlane.forward(lon, lat);
+
       // Negate X so west=+X and east=-X
       // This way when camera looks north (+Z), right side (-X) = east
-      const worldX = -(lon - this._centerLon) * metersPerDegreeLon;
-      const worldZ = (lat - this._centerLat) * metersPerDegreeLat;
-      return { x: worldX, z: worldZ };
+      return { x: -enu.east, z: enu.north };
+    }
+
+    /**
+     * Ground elevation (meters, including height scale) at a lon/lat, from
+     * the most detailed tile currently cached. Returns null when no tile
+     * covering the point is loaded, and NaN over nodata.
+     */
+    getHeightAtLonLat(lon, lat) {
+      const height = this._sampleCachedHeight(lon, lat);
+      return height === null ? null : height * this._heightScale;
+    }
+
+    /**
+     * Ground elevation at a world X/Z position, see getHeightAtLonLat
+     */
+    getHeightAtWorld(x, z) {
+      const { lon, lat } = this.worldToLonLat(x, z);
+      return this.getHeightAtLonLat(lon, lat);
+    }
+
+    /**
+     * Ground elevation in real meters at a lon/lat, without the height
+     * scale. Returns null where no tile is loaded or the data is nodata.
+     */
+    getElevationAtLonLat(lon, lat) {
+      const height = this._sampleCachedHeight(lon, lat);
+      if (height === null || Number.isNaN(height)) {
+        return null;
+      }
+      return height;
+    }
+
+    /**
+     * Zoom of the cached tile the elevation at a lon/lat is read from, or
+     * -1 if there's none. Changes as better tiles load or tiles are evicted.
+     */
+    getElevationZoomAt(lon, lat) {
+      const found = this._findCachedTile(lon, lat);
+      return found ? found.z : -1;
+    }
+
+    /**
+     * Changes whenever tiles enter or leave the cache, so anything sampled
+     * since it last changed is still current
+     */
+    get elevationVersion() {
+      return terrain_provider.getTileCacheVersion();
+    }
+
+    // Most detailed cached tile under a lon/lat, with the point's
+    // fractional position in it, or null
+    _findCachedTile(lon, lat) {
+      const maxZoom = Math.max(this._maxZoom, this._terrainProvider.maxZoom);
+      for (let z = maxZoom; z >= 0; z--) {
+        const coords = terrain_provider.getFractionalTileCoords(lon, lat, z);
+        if (this._terrainProvider.isTileCached(z, coords.tileX, coords.tileY)) {
+          return { z: z, coords: coords };
+        }
+      }
+      return null;
+    }
+
+    // Height from the most detailed cached tile under a lon/lat, as the
+    // provider decoded it, or null
+    _sampleCachedHeight(lon, lat) {
+      const found = this._findCachedTile(lon, lat);
+      if (!found) {
+        return null;
+      }
+
+      const { z, coords } = found;
+      const tile = this._terrainProvider.getCachedTile(z, coords.tileX, coords.tileY);
+      return terrain_provider.sampleTileHeight(tile, coords.fracX, coords.fracY);
+    }
+
+    /**
+     * Lon/lat the world origin sits at; changes when the view recenters
+     */
+    get center() {
+      return { lon: this._centerLon, lat: this._centerLat };
+    }
+
+    get heightScale() {
+      return this._heightScale;
+    }
+
+    /**
+     * Intersect a world-space ray with the terrain, using the same cached
+     * heights as getHeightAtWorld
+     *
+     * Marches along the ray in steps proportional to its height above the
+     * ground, then bisects the final step. Returns {point, distance, lon,
+     * lat} for the first hit within maxDistance, or null.
+     */
+    raycast(origin, direction, maxDistance = getTileSizeMeters(this._centerLat, this._minZoom) * 4) {
+      const dir = direction.clone().normalize();
+      const point = new THREE.Vector3();
+
+      const heightAbove = (t) => {
+        point.copy(dir).multiplyScalar(t).add(origin);
+        const h = this.getHeightAtWorld(point.x, point.z);
+        return (h === null || Number.isNaN(h)) ? null : point.y - h;
+      };
+
+      let previous = 0;
+      let t = 0;
+      for (let i = 0; i < RAYCAST_MAX_STEPS && t <= maxDistance; i++) {
+        const above = heightAbove(t);
+
+        if (above !== null && above <= 0) {
+          // Bisect between the last point above ground and this one
+          let lo = previous;
+          let hi = t;
+          for (let j = 0; j < RAYCAST_REFINE_STEPS; j++) {
+            const mid = (lo + hi) / 2;
+            const midAbove = heightAbove(mid);
+            if (midAbove !== null && midAbove <= 0) {
+              hi = mid;
+            } else {
+              lo = mid;
+            }
+          }
+
+          point.copy(dir).multiplyScalar(hi).add(origin);
+          const { lon, lat } = this.worldToLonLat(point.x, point.z);
+          return { point: point.clone(), distance: hi, lon, lat };
+        }
+
+        previous = t;
+        t += above === null ?
+            RAYCAST_MAX_STEP :
+            Math.max(RAYCAST_MIN_STEP, Math.min(RAYCAST_MAX_STEP, above * 0.5));
+      }
+
+      return null;
+    }
+
+    /**
+     * Move the world origin, rebuilding every chunk since tile geometry is
+     * baked relative to it
+     */
+    _setCenter(lon, lat) {
+      this._moveOrigin(lon, lat);
+      this._rebuildAllChunks();
+    }
+
+    _moveOrigin(lon, lat) {
+      this._centerLon = lon;
+      this._centerLat = lat;
+      this._tangentPlane = new geodesy.LocalTangentPlane(lon, lat);
+
+      const guiParams = this._params.guiParams.mapbox;
+      if (guiParams) {
+        guiParams.centerLon = lon;
+        guiParams.centerLat = lat;
+        this._centerLonController.updateDisplay();
+        this._centerLatController.updateDisplay();
+      }
+    }
+
+    /**
+     * Re-center the origin under the camera once it has flown far enough
+     * for the tangent plane to drift from the ground, keeping the camera
+     * over the same spot
+     *
+     * Built chunks move with the camera and stay up while each is rebuilt
+     * in place around the new origin, so nothing blinks out. Builds still
+     * under way were placed around the old origin, so they're abandoned
+     * and requested again.
+     */
+    _recenterOnCamera() {
+      const cameraPos = this._params.camera.position;
+      const { lon, lat } = this.worldToLonLat(cameraPos.x, cameraPos.z);
+
+      this._moveOrigin(lon, lat);
+      for (const key in this._chunks) {
+        const chunkData = this._chunks[key];
+        if (chunkData.pending) {
+          chunkData.controller.abort();
+          delete this._chunks[key];
+        } else {
+          chunkData.chunk.translate(-cameraPos.x, -cameraPos.z);
+          chunkData.stitchKey = null;
+        }
+      }
+
+      cameraPos.x = 0;
+      cameraPos.z = 0;
     }
 
     /**
      * Get the set of tiles that should be visible using quadtree LOD
-     * Returns Map of key -> {z, x, y, bounds, worldBounds}
+     * Returns Map of key -> {z, x, y, bounds, worldBounds, neighbours}
      */
     _getVisibleTiles(cameraPos) {
       const tiles = new Map();
       const cameraLonLat = this.worldToLonLat(cameraPos.x, cameraPos.z);
 
+      const camera = this._params.camera;
+      camera.updateMatrixWorld();
+      this._frustum.setFromProjectionMatrix(new THREE.Matrix4().multiplyMatrices(
+          camera.projectionMatrix, camera.matrixWorldInverse));
+
       // Start with tiles at minimum zoom level around the camera
       const startZoom = this._minZoom;
       const centerTileX = lon2tileX(cameraLonLat.lon, startZoom);
@@ -434,30 +1243,49 @@ export const flat_terrain = (function() {
         }
       }
 
+      // Record how much coarser each edge neighbour is, so the worker can
+      // stitch shared edges against it
+      for (const tile of tiles.values()) {
+        tile.neighbours = NEIGHBOUR_OFFSETS.map(([dx, dy]) =>
+            this._getNeighbourRatio(tiles, tile.z, tile.x + dx, tile.y + dy));
+      }
+
       return tiles;
     }
 
+    /**
+     * Size ratio of the visible tile covering (z, x, y) to a tile at z.
+     * Returns 1 when that area is covered at the same or a finer zoom.
+     */
+    _getNeighbourRatio(tiles, z, x, y) {
+      for (let zn = z; zn >= this._minZoom; zn--) {
+        const shift = z - zn;
+        if (tiles.has(`${zn}/${x >> shift}/${y >> shift}`)) {
+          return 1 << shift;
+        }
+      }
+      return 1;
+    }
+
     /**
      * Recursively subdivide tile or add it to visible set
      */
-    _subdivideOrAddTile(z, x, y, cameraPos, tiles) {
+    _subdivideOrAddTile(z, x, y, cameraPos, tiles, parentError = null) {
       const bounds = getTileBounds(z, x, y);
 
-      // Convert tile bounds to world coordinates
-      const sw = this.lonLatToWorld(bounds.west, bounds.south);
-      const ne = this.lonLatToWorld(bounds.east, bounds.north);
-
-      // const worldBounds = {
-      //   minX: sw.x,
-      //   maxX: ne.x,
-      //   minZ: sw.z,
-      //   maxZ: ne.z
-      // };
+      // Convert tile bounds to world coordinates. Meridians converge on the
+      // tangent plane, so every corner counts towards the extent.
+      const corners = [
+        this.lonLatToWorld(bounds.west, bounds.south),
+        this.lonLatToWorld(bounds.east, bounds.south),
+        this.lonLatToWorld(bounds.west, bounds.north),
+        this.lonLatToWorld(bounds.east, bounds.north)
+      ];
       const worldBounds = {
-        minX: Math.min(sw.x, ne.x),
-        maxX: Math.max(sw.x, ne.x),
-        minZ: Math.min(sw.z, ne.z),
-        maxZ: Math.max(sw.z, ne.z)
+        minX: Math.min(...corners.map(c => c.x)),
+        maxX: Math.max(...corners.map(c => c.x)),
+        minZ: Math.min(...corners.map(c => c.z)),
+        maxZ: Math.max(...corners.map(c => c.z))
       };
 
       // Calculate tile center in world coords
@@ -470,44 +1298,155 @@ export const flat_terrain = (function() {
         (tileCenterZ - cameraPos.z) ** 2
       );
 
-      // Tile size in meters
-      const tileSize = Math.abs(worldBounds.maxX - worldBounds.minX);
-
-      // LOD decision: subdivide if close enough and not at max zoom
-      const lodThreshold = tileSize * this._lodFactor;
-      const shouldSubdivide = distance < lodThreshold && z < this._maxZoom;
-
       // Check if tile is too far (rough culling)
       const maxViewDistance = getTileSizeMeters(this._centerLat, this._minZoom) * 4;
       if (distance > maxViewDistance) {
         return;  // Skip this tile entirely
       }
 
+      // Skip tiles whose bounds, heights included, are off-screen or sunk
+      // below the horizon. Children lie inside their parent, so this prunes
+      // the whole subtree.
+      const range = this._getHeightRange(z, x, y);
+      const box = this._getTileBox(worldBounds, range);
+      if (!this._frustum.intersectsBox(box) || this._isBelowHorizon(box, cameraPos)) {
+        return;
+      }
+
+      // LOD decision: subdivide while the tile's error on screen is too big
+      // and we're not at max zoom
+      const geometricError = this._getGeometricError(worldBounds, range);
+      const pixelsPerRadian = this._getPixelsPerRadian();
+      const screenError = geometricError * pixelsPerRadian / Math.max(box.distanceToPoint(cameraPos), 1);
+      const shouldSubdivide = z < this._maxZoom + this._overZoomLevels &&
+          screenError > this._maxPixelError;
+
       if (shouldSubdivide) {
         // Subdivide into 4 child tiles at next zoom level
         const childZ = z + 1;
         const childX = x * 2;
         const childY = y * 2;
 
-        this._subdivideOrAddTile(childZ, childX, childY, cameraPos, tiles);
-        this._subdivideOrAddTile(childZ, childX + 1, childY, cameraPos, tiles);
-        this._subdivideOrAddTile(childZ, childX, childY + 1, cameraPos, tiles);
-        this._subdivideOrAddTile(childZ, childX + 1, childY + 1, cameraPos, tiles);
+        this._subdivideOrAddTile(childZ, childX, childY, cameraPos, tiles, geometricError);
+        this._subdivideOrAddTile(childZ, childX + 1, childY, cameraPos, tiles, geometricError);
+        this._subdivideOrAddTile(childZ, childX, childY + 1, cameraPos, tiles, geometricError);
+        this._subdivideOrAddTile(childZ, childX + 1, childY + 1, cameraPos, tiles, geometricError);
       } else {
-        // Add this tile to visible set
+        // Add this tile to visible set, along with the distance at which
+        // its parent takes over again, which is where morphing must end
         const key = `${z}/${x}/${y}`;
-        tiles.set(key, { z, x, y, bounds, worldBounds });
+        const mergeDistance = parentError === null ?
+            null : parentError * pixelsPerRadian / this._maxPixelError;
+        tiles.set(key, { z, x, y, bounds, worldBounds, mergeDistance });
       }
     }
 
+    /**
+     * Geometric error of a tile's mesh in meters
+     *
+     * A tile's mesh can miss detail up to about one vertex spacing times
+     * the terrain's slope, which we estimate from the tile's height range.
+     * Dividing by the 3D distance from the camera to the tile's bounding
+     * box and scaling by _getPixelsPerRadian() gives the error on screen,
+     * so altitude counts as much as ground distance.
+     */
+    _getGeometricError(worldBounds, range) {
+      const tileSize = worldBounds.maxX - worldBounds.minX;
+
+      // Until something is loaded, assume steep terrain
+      const relief = range ? (range.max - range.min) * this._heightScale : tileSize;
+
+      const roughness = Math.max(MIN_ROUGHNESS, relief / tileSize);
+      return tileSize / this._resolution * roughness;
+    }
+
+    /**
+     * Screen pixels spanned by one radian at the centre of the view
+     */
+    _getPixelsPerRadian() {
+      const fov = this._params.camera.fov * Math.PI / 180;
+      return window.innerHeight / (2 * Math.tan(fov / 2));
+    }
+
+    /**
+     * World-space bounding box of a tile, spanning its scaled height range
+     */
+    _getTileBox(worldBounds, range) {
+      const minY = (range ? range.min : UNKNOWN_MIN_HEIGHT) * this._heightScale;
+      const maxY = (range ? range.max : UNKNOWN_MAX_HEIGHT) * this._heightScale;
+      return new THREE.Box3(
+          new THREE.Vector3(worldBounds.minX, minY, worldBounds.minZ),
+          new THREE.Vector3(worldBounds.maxX, maxY, worldBounds.maxZ));
+    }
+
+    /**
+     * True if the Earth's curvature hides all of a box from the camera.
+     * The rendered plane is flat, but the real horizon still bounds what
+     * the camera could see: the eye's horizon distance plus that of the
+     * box's highest point.
+     */
+    _isBelowHorizon(box, cameraPos) {
+      const R = geodesy.WGS84_A;
+      const horizonDistance = (h) => Math.sqrt(Math.max(h, 0) * (2 * R + Math.max(h, 0)));
+
+      const dx = Math.max(box.min.x - cameraPos.x, 0, cameraPos.x - box.max.x);
+      const dz = Math.max(box.min.z - cameraPos.z, 0, cameraPos.z - box.max.z);
+      const groundDistance = Math.sqrt(dx * dx + dz * dz);
+
+      return groundDistance > horizonDistance(cameraPos.y) + horizonDistance(box.max.y);
+    }
+
+    /**
+     * Height range (unscaled meters) of a tile, from the tile itself or its
+     * nearest cached ancestor, which bounds it. Null if nothing is cached.
+     */
+    _getHeightRange(z, x, y) {
+      for (let az = z; az >= 0; az--) {
+        const shift = z - az;
+        const ax = x >> shift;
+        const ay = y >> shift;
+        if (this._terrainProvider.isTileCached(az, ax, ay)) {
+          return terrain_provider.getTileHeightRange(this._terrainProvider.getCachedTile(az, ax, ay));
+        }
+      }
+      return null;
+    }
+
     /**
      * Create a terrain chunk for a Mapbox tile
      */
-    async _createTileChunk(z, x, y, worldBounds) {
+    async _createTileChunk(tile, signal) {
+      const { z, x, y } = tile;
       const key = `${z}/${x}/${y}`;
 
-      // Load the tile height data
-      const tileData = await this._terrainProvider.loadTile(z, x, y);
+      // Until the tile's own data arrives, mesh it from an upsampled
+      // ancestor so it can take over from its parent straight away. Its
+      // stitch key records the tile as uncached, so Update rebuilds it
+      // once the real data is in.
+      //
+      // A tile that fails to load is built from the same stand-in, marked
+      // as a placeholder; the provider records the failure.
+      //
+      // Tiles past maxZoom never have data of their own. They're always
+      // upsampled, from their source tile once that's loaded.
+      const source = this._getSourceTile(tile);
+      const load = this._terrainProvider.loadTile(source.z, source.x, source.y, signal);
+      let tileData = this._terrainProvider.isTileCached(z, x, y) ?
+          null : this._terrainProvider.getUpsampledTile(z, x, y);
+      let loaded = Promise.resolve();
+      if (tileData) {
+        loaded = load.then(() => {}, () => {});
+      } else {
+        try {
+          const sourceData = await load;
+          tileData = source.z === z ? sourceData : this._getTileData(z, x, y);
+        } catch (err) {
+          if (!(err instanceof terrain_provider.TileLoadError)) {
+            throw err;
+          }
+          tileData = this._getTileData(z, x, y);
+        }
+      }
 
       // Create chunk params
       const chunkParams = {
@@ -522,30 +1461,167 @@ export const flat_terrain = (function() {
       const chunk = new FlatTerrainChunk(chunkParams);
       chunk.hide();
 
-      // Send to worker for mesh building
-      const workerParams = {
+      // Imagery that's already cached is draped straight away; anything
+      // else is left to _requestImagery() rather than hold up the terrain
+      const imagery = this._imageryProvider ? this._imageryProvider.getCachedImagery(z, x, y) : null;
+      const imageryGeneration = this._imageryGeneration;
+
+      const stitchKey = this._getStitchKey(tile);
+      return new Promise((resolve, reject) => {
+        this._workerPool.enqueue(
+          { subject: 'build_tile', params: this._getWorkerParams(tileData, tile) },
+          (result) => {
+            if (result.subject !== 'build_tile_result') {
+              chunk.destroy();
+              reject(new DOMException(`Build of tile ${key} cancelled`, 'AbortError'));
+              return;
+            }
+            chunk.rebuildFromData(result.data);
+            resolve({ chunk, key, stitchKey, imagery, imageryGeneration, loaded });
+          },
+          key
+        );
+      });
+    }
+
+    /**
+     * The tile whose data a tile is built from: itself, or for tiles past
+     * maxZoom its ancestor at maxZoom
+     */
+    _getSourceTile({ z, x, y }) {
+      const shift = Math.max(0, z - this._maxZoom);
+      return { z: z - shift, x: x >> shift, y: y >> shift };
+    }
+
+    /**
+     * Best data available for a tile: the tile itself, else upsampled from
+     * an ancestor, else flat at sea level
+     */
+    _getTileData(z, x, y) {
+      const tile = this._terrainProvider.getCachedTile(z, x, y) ||
+          this._terrainProvider.getUpsampledTile(z, x, y);
+      if (tile) {
+        return tile;
+      }
+
+      const size = 2;
+      return {
+        z, x, y,
+        width: size,
+        height: size,
+        heights: new Float32Array(size * size),
+        colors: null,
+        bounds: getTileBounds(z, x, y)
+      };
+    }
+
+    /**
+     * Key describing what a tile was stitched against: its neighbours' zoom
+     * ratios, which same-zoom neighbours were cached for the apron,
+     * whether its source tile last failed to load and, past maxZoom,
+     * whether the source tile it's upsampled from was cached
+     */
+    _getStitchKey(tile) {
+      let cached = 0;
+      for (let dy = -1, bit = 1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++, bit <<= 1) {
+          if (this._terrainProvider.isTileCached(tile.z, tile.x + dx, tile.y + dy)) {
+            cached |= bit;
+          }
+        }
+      }
+      const source = this._getSourceTile(tile);
+      const failed = this._terrainProvider.getTileFailure(source.z, source.x, source.y) ? 1 : 0;
+      const upsampled = source.z < tile.z &&
+          this._terrainProvider.isTileCached(source.z, source.x, source.y) ? 1 : 0;
+      return `${tile.neighbours.join()}|${cached}|${failed}|${upsampled}`;
+    }
+
+    /**
+     * Rebuild an existing chunk in place after its neighbours changed zoom
+     * or finished loading, leaving the old mesh up until the new one arrives
+     */
+    _restitchTileChunk(chunkData, tile) {
+      const tileData = this._getTileData(tile.z, tile.x, tile.y);
+      const plane = this._tangentPlane;
+
+      chunkData.stitchKey = this._getStitchKey(tile);
+      this._workerPool.enqueue(
+        { subject: 'build_tile', params: this._getWorkerParams(tileData, tile) },
+        (result) => {
+          // A re-center since has already asked for another rebuild
+          if (this._chunks[chunkData.key] !== chunkData || this._tangentPlane !== plane) {
+            return;
+          }
+          if (result.subject === 'build_tile_result') {
+            chunkData.chunk.rebuildFromData(result.data);
+          } else {
+            // Dropped from the queue; try again if the tile comes back
+            chunkData.stitchKey = null;
+          }
+        },
+        chunkData.key
+      );
+    }
+
+    _getWorkerParams(tileData, tile) {
+      const worldBounds = tile.worldBounds;
+
+      // Enough apron for the normals' central differences to reach one grid
+      // step past the tile edge
+      const apron = Math.ceil((tileData.width - 1) / this._resolution) + 1;
+      const heightData = this._terrainProvider.getPaddedHeights(tile.z, tile.x, tile.y, apron, tileData);
+
+      return {
         resolution: this._resolution,
-        heightData: tileData.heights,
-        colorData: tileData.colors,
-        tileSize: 512,  // Mapbox tiles are 512x512
+        heightData: heightData,
+        placeholder: this._isPlaceholder(tile),
+        detail: this._getDetailParams(tileData, tile),
+        tileSize: tileData.width,
+        apron: apron,
         worldMinX: worldBounds.minX,
         worldMaxX: worldBounds.maxX,
         worldMinZ: worldBounds.minZ,
         worldMaxZ: worldBounds.maxZ,
-        heightScale: this._heightScale
+        heightScale: this._heightScale,
+        neighbours: tile.neighbours,
+        zoom: tile.z,
+        tileX: tile.x,
+        tileY: tile.y,
+        originLon: this._centerLon,
+        originLat: this._centerLat
       };
+    }
 
-      return new Promise((resolve) => {
-        this._workerPool.enqueue(
-          { subject: 'build_tile', params: workerParams },
-          (result) => {
-            if (result.subject === 'build_tile_result') {
-              chunk.rebuildFromData(result.data);
-            }
-            resolve({ chunk, key });
-          }
-        );
-      });
+    /**
+     * Procedural detail for a tile past maxZoom, or null for tiles that
+     * have real data
+     *
+     * The finest features shown at maxZoom are the data's texels or the
+     * mesh's vertex spacing there, whichever is coarser, so the detail
+     * starts at that wavelength. It fades in over the first two over-zoom
+     * levels, reaching half strength at the first. Sizes are in
+     * Web-Mercator meters.
+     */
+    _getDetailParams(tileData, tile) {
+      if (tile.z <= this._maxZoom || this._detailStrength <= 0) {
+        return null;
+      }
+
+      const circumference = 2 * Math.PI * geodesy.WGS84_A;
+      const cells = Math.min(tileData.width - 1, this._resolution);
+      const featureSize = circumference / (1 << this._maxZoom) / cells;
+      const vertexSpacing = circumference / (1 << tile.z) / this._resolution;
+      const fade = Math.min(1, Math.log2(featureSize / vertexSpacing) / 2);
+
+      return { featureSize, fade, strength: this._detailStrength };
+    }
+
+    // A tile built without its source data, because that failed to load
+    _isPlaceholder(tile) {
+      const { z, x, y } = this._getSourceTile(tile);
+      return !this._terrainProvider.isTileCached(z, x, y) &&
+          this._terrainProvider.getTileFailure(z, x, y) !== null;
     }
 
     /**
@@ -554,13 +1630,31 @@ export const flat_terrain = (function() {
     Update(deltaTime) {
       const cameraPos = this._params.camera.position;
 
+      if (Math.sqrt(cameraPos.x ** 2 + cameraPos.z ** 2) > RECENTER_DISTANCE) {
+        this._recenterOnCamera();
+      }
+
       // Get the set of tiles that should be visible
       const visibleTiles = this._getVisibleTiles(cameraPos);
+      const ranks = this._rankTiles(visibleTiles, cameraPos);
+
+      // Abandon loads and builds of tiles that left the view
+      for (const key in this._chunks) {
+        const chunkData = this._chunks[key];
+        if (chunkData.pending && !visibleTiles.has(key)) {
+          chunkData.controller.abort();
+          delete this._chunks[key];
+        }
+      }
+
+      // Tiles that dropped out of the selection stay up until whatever
+      // covers their area instead has been built
+      const retained = this._getRetainedChunks(visibleTiles);
 
       // Find chunks to remove
       const chunksToRemove = [];
       for (const key in this._chunks) {
-        if (!visibleTiles.has(key)) {
+        if (!visibleTiles.has(key) && !retained.has(key)) {
           const chunkData = this._chunks[key];
           if (chunkData.chunk && !chunkData.pending) {
             chunksToRemove.push(key);
@@ -568,78 +1662,225 @@ export const flat_terrain = (function() {
         }
       }
 
-      // Remove old chunks
+      // Remove old chunks, along with any load still replacing their
+      // upsampled data
       for (const key of chunksToRemove) {
         const chunkData = this._chunks[key];
         if (chunkData.chunk) {
           chunkData.chunk.destroy();
         }
+        chunkData.controller.abort();
         delete this._chunks[key];
       }
 
       // Find tiles to create (sorted by zoom level descending - higher detail first)
+      // and built tiles whose neighbours changed since they were stitched
       const tilesToCreate = [];
       for (const [key, tileInfo] of visibleTiles) {
-        if (!this._chunks[key]) {
+        const chunkData = this._chunks[key];
+        if (!chunkData) {
           tilesToCreate.push({ key, ...tileInfo });
+        } else if (!chunkData.pending) {
+          this._retryFailedTile(chunkData, tileInfo);
+          if (chunkData.stitchKey !== this._getStitchKey(tileInfo)) {
+            this._restitchTileChunk(chunkData, tileInfo);
+          }
+
+          // Placeholders keep their chequered vertex colours
+          this._requestImagery(chunkData, tileInfo);
+          chunkData.chunk.setImagery(this._isPlaceholder(tileInfo) ? null : chunkData.imagery);
+
+          // Morph towards the parent's geometry over the last stretch
+          // before the parent takes over
+          if (tileInfo.mergeDistance === null) {
+            chunkData.chunk.setMorphRange(0, 0);
+          } else {
+            chunkData.chunk.setMorphRange(
+                tileInfo.mergeDistance * (1 - this._morphBand), tileInfo.mergeDistance);
+          }
         }
       }
 
-      // Sort by zoom (higher zoom = more detail = prioritize) and distance
-      tilesToCreate.sort((a, b) => {
-        // Prioritize higher zoom levels
-        if (b.z !== a.z) return b.z - a.z;
-
-        // Then by distance
-        const distA = Math.sqrt(
-          ((a.worldBounds.minX + a.worldBounds.maxX) / 2 - cameraPos.x) ** 2 +
-          ((a.worldBounds.minZ + a.worldBounds.maxZ) / 2 - cameraPos.z) ** 2
-        );
-        const distB = Math.sqrt(
-          ((b.worldBounds.minX + b.worldBounds.maxX) / 2 - cameraPos.x) ** 2 +
-          ((b.worldBounds.minZ + b.worldBounds.maxZ) / 2 - cameraPos.z) ** 2
-        );
-        return distA - distB;
-      });
+      tilesToCreate.sort((a, b) => ranks.get(a.key) - ranks.get(b.key));
 
       // Create new chunks (limited concurrent loads)
       for (const tile of tilesToCreate) {
         if (this._loadingChunks >= this._maxConcurrentLoads) break;
 
-        this._chunks[tile.key] = { pending: true, key: tile.key };
+        // Compare against this exact entry, as a re-center or rebuild may
+        // have replaced it with a newer request for the same tile
+        const controller = new AbortController();
+        const entry = { pending: true, key: tile.key, controller };
+        this._chunks[tile.key] = entry;
         this._loadingChunks++;
 
-        this._createTileChunk(tile.z, tile.x, tile.y, tile.worldBounds)
-          .then(({ chunk, key }) => {
-            this._loadingChunks--;
-            if (this._chunks[key]) {
-              this._chunks[key] = { chunk, key, pending: false };
-              chunk.show();
+        this._createTileChunk(tile, controller.signal)
+          .then(({ chunk, key, stitchKey, imagery, imageryGeneration, loaded }) => {
+            if (this._chunks[key] === entry) {
+              this._chunks[key] = {
+                chunk, key, pending: false, stitchKey, controller,
+                imagery: imageryGeneration === this._imageryGeneration ? imagery : null,
+                imageryLoading: false,
+                imageryRetryAt: 0
+              };
             } else {
               chunk.destroy();
             }
+
+            // A chunk meshed from its ancestor still counts towards the
+            // load limit until its own tile arrives
+            return loaded;
           })
           .catch(err => {
+            if (err.name !== 'AbortError') {
+              console.error('Error creating tile chunk:', err);
+            }
+            if (this._chunks[tile.key] === entry) {
+              delete this._chunks[tile.key];
+            }
+          })
+          .finally(() => {
             this._loadingChunks--;
-            console.error('Error creating tile chunk:', err);
-            delete this._chunks[tile.key];
           });
       }
 
-      // Update all visible chunks
+      this._updateTileErrors();
+
+      // Builds still waiting for a worker go nearest first; those for tiles
+      // that left the view are dropped
+      this._workerPool.reprioritise((key) => ranks.has(key) ? ranks.get(key) : null);
+
+      // Update all built chunks, holding back the children of a split tile
+      // until all of them can replace it at once
       for (const key in this._chunks) {
         const data = this._chunks[key];
         if (data.chunk && !data.pending) {
+          if (this._hasRetainedAncestor(data.chunk.params, retained)) {
+            data.chunk.hide();
+          } else {
+            data.chunk.show();
+          }
           data.chunk.update(cameraPos);
         }
       }
     }
 
+    /**
+     * Request a failed tile again once the provider's backoff has passed.
+     * Success caches the tile, which changes its stitch key, so the
+     * placeholder is rebuilt from the real data.
+     */
+    _retryFailedTile(chunkData, tile) {
+      const { z, x, y } = this._getSourceTile(tile);
+      const failure = this._terrainProvider.getTileFailure(z, x, y);
+      if (!failure || Date.now() < failure.retryAt || this._terrainProvider.isTileLoading(z, x, y)) {
+        return;
+      }
+
+      this._terrainProvider.loadTile(z, x, y, chunkData.controller.signal).catch(() => {});
+    }
+
+    /**
+     * Load a built chunk's imagery unless it has some or is already waiting
+     * on it. Update drapes it once it arrives; until then the chunk keeps
+     * its procedural colours.
+     */
+    _requestImagery(chunkData, tile) {
+      const provider = this._imageryProvider;
+      const generation = this._imageryGeneration;
+      if (!provider || chunkData.imagery || chunkData.imageryLoading ||
+          Date.now() < chunkData.imageryRetryAt) {
+        return;
+      }
+
+      chunkData.imageryLoading = true;
+      provider.loadImagery(tile.z, tile.x, tile.y, chunkData.controller.signal)
+        .then((imagery) => {
+          // Settings may have changed while it loaded
+          if (generation === this._imageryGeneration) {
+            chunkData.imagery = imagery;
+          }
+        }, () => {
+          chunkData.imageryRetryAt = Date.now() + IMAGERY_RETRY_DELAY;
+        })
+        .finally(() => {
+          chunkData.imageryLoading = false;
+        });
+    }
+
+    /**
+     * Load order of the visible tiles as a Map of key -> rank, lowest
+     * first: finer zooms first, then nearest first. Selection has already
+     * culled everything outside the frustum.
+     */
+    _rankTiles(visibleTiles, cameraPos) {
+      const distance = (tile) => Math.sqrt(
+        ((tile.worldBounds.minX + tile.worldBounds.maxX) / 2 - cameraPos.x) ** 2 +
+        ((tile.worldBounds.minZ + tile.worldBounds.maxZ) / 2 - cameraPos.z) ** 2
+      );
+
+      const order = [...visibleTiles].map(([key, tile]) => ({ key, z: tile.z, distance: distance(tile) }));
+      order.sort((a, b) => (b.z - a.z) || (a.distance - b.distance));
+
+      return new Map(order.map(({ key }, rank) => [key, rank]));
+    }
+
+    /**
+     * Keys of built chunks that are no longer selected but must stay up to
+     * avoid holes: a split tile until every selected tile inside it is
+     * built, and the pieces of a merge until the selected tile covering
+     * them is built.
+     */
+    _getRetainedChunks(visibleTiles) {
+      const isBuilt = (key) => this._chunks[key] && !this._chunks[key].pending;
+      const retained = new Set();
+
+      for (const [key, tile] of visibleTiles) {
+        if (isBuilt(key)) {
+          continue;
+        }
+        for (let az = tile.z - 1; az >= this._minZoom; az--) {
+          const ancestorKey = getAncestorKey(tile.z, tile.x, tile.y, az);
+          if (isBuilt(ancestorKey) && !visibleTiles.has(ancestorKey)) {
+            retained.add(ancestorKey);
+          }
+        }
+      }
+
+      for (const key in this._chunks) {
+        if (visibleTiles.has(key) || !isBuilt(key)) {
+          continue;
+        }
+        const { zoom, tileX, tileY } = this._chunks[key].chunk.params;
+        for (let az = zoom - 1; az >= this._minZoom; az--) {
+          const ancestorKey = getAncestorKey(zoom, tileX, tileY, az);
+          if (visibleTiles.has(ancestorKey)) {
+            if (!isBuilt(ancestorKey)) {
+              retained.add(key);
+            }
+            break;
+          }
+        }
+      }
+
+      return retained;
+    }
+
+    _hasRetainedAncestor({ zoom, tileX, tileY }, retained) {
+      for (let az = zoom - 1; az >= this._minZoom; az--) {
+        if (retained.has(getAncestorKey(zoom, tileX, tileY, az))) {
+          return true;
+        }
+      }
+      return false;
+    }
+
     destroy() {
       for (const key in this._chunks) {
         if (this._chunks[key].chunk) {
           this._chunks[key].chunk.destroy();
         }
+        this._chunks[key].controller.abort();
       }
       this._chunks = {};
       this._params.scene.remove(this._group);
@@ -0,0 +1,441 @@
+/**
+ * WGS84 ellipsoid constants and map projections
+ *
+ * All angles are in degrees at the API boundary, distances in meters.
+ */
+
+export const geodesy = (function() {
+
+  // WGS84 ellipsoid
+  const WGS84_A = 6378137.0;
+  const WGS84_F = 1 / 298.257223563;
+  const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+  const WGS84_EP2 = WGS84_E2 / (1 - WGS84_E2);
+
+  const DEG2RAD = Math.PI / 180;
+  const RAD2DEG = 180 / Math.PI;
+
+  // UTM scale factor on the central meridian
+  const UTM_K0 = 0.9996;
+
+  /**
+   * Spherical Web-Mercator (EPSG:3857) forward projection
+   */
+  function lonLatToWebMercator(lon, lat) {
+    return {
+      x: WGS84_A * lon * DEG2RAD,
+      y: WGS84_A * Math.log(Math.tan(Math.PI / 4 + lat * DEG2RAD / 2))
+    };
+  }
+
+  /**
+   * Spherical Web-Mercator (EPSG:3857) inverse projection
+   */
+  function webMercatorToLonLat(x, y) {
+    return {
+      lon: x / WGS84_A * RAD2DEG,
+      lat: (2 * Math.atan(Math.exp(y / WGS84_A)) - Math.PI / 2) * RAD2DEG
+    };
+  }
+
+  // Meridional arc length from the equator to latitude phi (radians)
+  function _meridianArc(phi) {
+    const e2 = WGS84_E2;
+    const e4 = e2 * e2;
+    const e6 = e4 * e2;
+    return WGS84_A * (
+        (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+        (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+        (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+        (35 * e6 / 3072) * Math.sin(6 * phi));
+  }
+
+  /**
+   * Transverse Mercator forward projection for a UTM zone (Snyder 8-9)
+   */
+  function lonLatToUTM(lon, lat, zone, south) {
+    const phi = lat * DEG2RAD;
+    const lon0 = ((zone - 1) * 6 - 180 + 3) * DEG2RAD;
+
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+    const T = Math.tan(phi) ** 2;
+    const C = WGS84_EP2 * cosPhi * cosPhi;
+    const A = cosPhi * (lon * DEG2RAD - lon0);
+    const M = _meridianArc(phi);
+
+    const x = UTM_K0 * N * (
+        A + (1 - T + C) * A ** 3 / 6 +
+        (5 - 18 * T + T * T + 72 * C - 58 * WGS84_EP2) * A ** 5 / 120) + 500000;
+    let y = UTM_K0 * (M + N * Math.tan(phi) * (
+        A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+        (61 - 58 * T + T * T + 600 * C - 330 * WGS84_EP2) * A ** 6 / 720));
+
+    if (south) {
+      y += 10000000;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Transverse Mercator inverse projection for a UTM zone (Snyder 8-18)
+   */
+  function utmToLonLat(x, y, zone, south) {
+    const e2 = WGS84_E2;
+    const lon0 = ((zone - 1) * 6 - 180 + 3) * DEG2RAD;
+
+    x -= 500000;
+    if (south) {
+      y -= 10000000;
+    }
+
+    const M = y / UTM_K0;
+    const mu = M / (WGS84_A * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256));
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const N1 = WGS84_A / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+    const T1 = Math.tan(phi1) ** 2;
+    const C1 = WGS84_EP2 * cosPhi1 * cosPhi1;
+    const R1 = WGS84_A * (1 - e2) / Math.pow(1 - e2 * sinPhi1 * sinPhi1, 1.5);
+    const D = x / (N1 * UTM_K0);
+
+    const lat = phi1 - (N1 * Math.tan(phi1) / R1) * (
+        D * D / 2 -
+        (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * WGS84_EP2) * D ** 4 / 24 +
+        (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * WGS84_EP2 - 3 * C1 * C1) * D ** 6 / 720);
+    const lon = lon0 + (
+        D - (1 + 2 * T1 + C1) * D ** 3 / 6 +
+        (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * WGS84_EP2 + 24 * T1 * T1) * D ** 5 / 120) / cosPhi1;
+
+    return { lon: lon * RAD2DEG, lat: lat * RAD2DEG };
+  }
+
+  /**
+   * Geodetic coordinates to Earth-Centred Earth-Fixed (ECEF) meters
+   */
+  function lonLatToECEF(lon, lat, height = 0) {
+    const lambda = lon * DEG2RAD;
+    const phi = lat * DEG2RAD;
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+
+    return {
+      x: (N + height) * cosPhi * Math.cos(lambda),
+      y: (N + height) * cosPhi * Math.sin(lambda),
+      z: (N * (1 - WGS84_E2) + height) * sinPhi
+    };
+  }
+
+  /**
+   * ECEF meters to geodetic coordinates, iterating on latitude until the
+   * height above the ellipsoid settles
+   */
+  function ecefToLonLat(x, y, z) {
+    const p = Math.sqrt(x * x + y * y);
+    const lon = Math.atan2(y, x);
+
+    let lat = Math.atan2(z, p * (1 - WGS84_E2));
+    let height = 0;
+    for (let i = 0; i < 5; i++) {
+      const sinLat = Math.sin(lat);
+      const N = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+      height = p / Math.cos(lat) - N;
+      lat = Math.atan2(z, p * (1 - WGS84_E2 * N / (N + height)));
+    }
+
+    return { lon: lon * RAD2DEG, lat: lat * RAD2DEG, height: height };
+  }
+
+  /**
+   * Lon/lat of a point on a sphere centred on the world origin, with +Y
+   * through the north pole and +Z through lon 0 on the equator, so that
+   * east is +X when viewed from outside
+   */
+  function sphereToLonLat(x, y, z) {
+    const r = Math.sqrt(x * x + y * y + z * z);
+    return {
+      lon: Math.atan2(x, z) * RAD2DEG,
+      lat: Math.asin(Math.max(-1, Math.min(1, y / r))) * RAD2DEG
+    };
+  }
+
+  /**
+   * Inverse of sphereToLonLat, at the given radius
+   */
+  function lonLatToSphere(lon, lat, radius) {
+    const lambda = lon * DEG2RAD;
+    const phi = lat * DEG2RAD;
+    return {
+      x: radius * Math.cos(phi) * Math.sin(lambda),
+      y: radius * Math.sin(phi),
+      z: radius * Math.cos(phi) * Math.cos(lambda)
+    };
+  }
+
+  // Vincenty's series coefficients A and B for a geodesic with the given
+  // cos^2 of its equatorial azimuth
+  function _vincentyCoefficients(cos2Alpha) {
+    const b = WGS84_A * (1 - WGS84_F);
+    const u2 = cos2Alpha * (WGS84_A * WGS84_A - b * b) / (b * b);
+    return {
+      A: 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2))),
+      B: u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)))
+    };
+  }
+
+  function _vincentyDeltaSigma(B, sinSigma, cosSigma, cos2SigmaM) {
+    return B * sinSigma * (cos2SigmaM + B / 4 * (
+        cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+  }
+
+  /**
+   * Shortest distance (meters) over the ellipsoid between two points, and
+   * the azimuths (degrees clockwise from north) it leaves the first and
+   * arrives at the second with
+   *
+   * Vincenty's inverse formula: sub-millimetre, but it can fail to
+   * converge for nearly antipodal points, where the last iterate is used.
+   */
+  function geodesicInverse(lon1, lat1, lon2, lat2) {
+    const f = WGS84_F;
+    const L = (lon2 - lon1) * DEG2RAD;
+    const U1 = Math.atan((1 - f) * Math.tan(lat1 * DEG2RAD));
+    const U2 = Math.atan((1 - f) * Math.tan(lat2 * DEG2RAD));
+    const sinU1 = Math.sin(U1);
+    const cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2);
+    const cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    let sinLambda, cosLambda, sinSigma, cosSigma, sigma, sinAlpha, cos2Alpha, cos2SigmaM;
+    for (let i = 0; i < 200; i++) {
+      sinLambda = Math.sin(lambda);
+      cosLambda = Math.cos(lambda);
+      sinSigma = Math.sqrt(
+          (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+      if (sinSigma === 0) {
+        return { distance: 0, azimuth1: 0, azimuth2: 0 };
+      }
+      cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+      sigma = Math.atan2(sinSigma, cosSigma);
+      sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+      cos2Alpha = 1 - sinAlpha * sinAlpha;
+
+      // Both points on the equator
+      cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+
+      const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+      const previous = lambda;
+      lambda = L + (1 - C) * f * sinAlpha * (
+          sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+      if (Math.abs(lambda - previous) < 1e-12) {
+        break;
+      }
+    }
+
+    const { A, B } = _vincentyCoefficients(cos2Alpha);
+    const deltaSigma = _vincentyDeltaSigma(B, sinSigma, cosSigma, cos2SigmaM);
+
+    return {
+      distance: WGS84_A * (1 - f) * A * (sigma - deltaSigma),
+      azimuth1: Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) * RAD2DEG,
+      azimuth2: Math.atan2(cosU1 * sinLambda, -sinU1 * cosU2 + cosU1 * sinU2 * cosLambda) * RAD2DEG
+    };
+  }
+
+  /**
+   * Point reached by following the geodesic leaving lon/lat at azimuth
+   * (degrees clockwise from north) for distance meters, by Vincenty's
+   * direct formula
+   */
+  function geodesicDirect(lon, lat, azimuth, distance) {
+    const f = WGS84_F;
+    const b = WGS84_A * (1 - f);
+    const sinAlpha1 = Math.sin(azimuth * DEG2RAD);
+    const cosAlpha1 = Math.cos(azimuth * DEG2RAD);
+    const tanU1 = (1 - f) * Math.tan(lat * DEG2RAD);
+    const cosU1 = 1 / Math.sqrt(1 + tanU1 * tanU1);
+    const sinU1 = tanU1 * cosU1;
+
+    const sigma1 = Math.atan2(tanU1, cosAlpha1);
+    const sinAlpha = cosU1 * sinAlpha1;
+    const cos2Alpha = 1 - sinAlpha * sinAlpha;
+    const { A, B } = _vincentyCoefficients(cos2Alpha);
+
+    let sigma = distance / (b * A);
+    let sinSigma, cosSigma, cos2SigmaM;
+    for (let i = 0; i < 200; i++) {
+      cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+      sinSigma = Math.sin(sigma);
+      cosSigma = Math.cos(sigma);
+      const previous = sigma;
+      sigma = distance / (b * A) + _vincentyDeltaSigma(B, sinSigma, cosSigma, cos2SigmaM);
+      if (Math.abs(sigma - previous) < 1e-12) {
+        break;
+      }
+    }
+    cos2SigmaM = Math.cos(2 * sigma1 + sigma);
+    sinSigma = Math.sin(sigma);
+    cosSigma = Math.cos(sigma);
+
+    const x = sinU1 * sinSigma - cosU1 * cosSigma * cosAlpha1;
+    const lat2 = Math.atan2(
+        sinU1 * cosSigma + cosU1 * sinSigma * cosAlpha1,
+        (1 - f) * Math.sqrt(sinAlpha * sinAlpha + x * x));
+    const lambda = Math.atan2(sinSigma * sinAlpha1, cosU1 * cosSigma - sinU1 * sinSigma * cosAlpha1);
+    const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+    const L = lambda - (1 - C) * f * sinAlpha * (
+        sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+    const lon2 = ((lon + L * RAD2DEG + 540) % 360) - 180;
+    return { lon: lon2, lat: lat2 * RAD2DEG };
+  }
+
+  // q(phi) of the authalic latitude, from sin(phi)
+  function _authalicQ(sinPhi) {
+    const e = Math.sqrt(WGS84_E2);
+    return (1 - WGS84_E2) * (
+        sinPhi / (1 - WGS84_E2 * sinPhi * sinPhi) -
+        Math.log((1 - e * sinPhi) / (1 + e * sinPhi)) / (2 * e));
+  }
+
+  const AUTHALIC_QP = _authalicQ(1);
+  const AUTHALIC_RADIUS = WGS84_A * Math.sqrt(AUTHALIC_QP / 2);
+
+  /**
+   * Area (square meters) of the ellipsoid enclosed by a ring of {lon, lat}
+   * points, which shouldn't contain a pole
+   *
+   * Sums each edge's spherical excess on the authalic sphere, which has the
+   * ellipsoid's area latitude for latitude. Edges are great circles there
+   * rather than true geodesics, a difference that only shows on edges
+   * hundreds of kilometers long.
+   */
+  function geodesicArea(points) {
+    const authalicLat = (lat) => Math.asin(_authalicQ(Math.sin(lat * DEG2RAD)) / AUTHALIC_QP);
+
+    let excess = 0;
+    for (let i = 0; i < points.length; i++) {
+      const p1 = points[i];
+      const p2 = points[(i + 1) % points.length];
+      let dLon = (p2.lon - p1.lon) * DEG2RAD;
+      if (dLon > Math.PI) {
+        dLon -= 2 * Math.PI;
+      } else if (dLon < -Math.PI) {
+        dLon += 2 * Math.PI;
+      }
+
+      const t1 = Math.tan(authalicLat(p1.lat) / 2);
+      const t2 = Math.tan(authalicLat(p2.lat) / 2);
+      excess += 2 * Math.atan2(Math.tan(dLon / 2) * (t1 + t2), 1 + t1 * t2);
+    }
+
+    return Math.abs(excess) * AUTHALIC_RADIUS * AUTHALIC_RADIUS;
+  }
+
+  /**
+   * LocalTangentPlane - East/North/Up frame touching the ellipsoid at an
+   * origin
+   *
+   * forward() drops the up component so callers get true horizontal
+   * distances from the origin; inverse() lands back on the ellipsoid
+   * beneath a point on the plane.
+   */
+  class LocalTangentPlane {
+    constructor(originLon, originLat) {
+      this._originLon = originLon;
+      this._originLat = originLat;
+      this._origin = lonLatToECEF(originLon, originLat, 0);
+
+      const sinLon = Math.sin(originLon * DEG2RAD);
+      const cosLon = Math.cos(originLon * DEG2RAD);
+      const sinLat = Math.sin(originLat * DEG2RAD);
+      const cosLat = Math.cos(originLat * DEG2RAD);
+
+      this._east = { x: -sinLon, y: cosLon, z: 0 };
+      this._north = { x: -sinLat * cosLon, y: -sinLat * sinLon, z: cosLat };
+      this._up = { x: cosLat * cosLon, y: cosLat * sinLon, z: sinLat };
+    }
+
+    get originLon() {
+      return this._originLon;
+    }
+
+    get originLat() {
+      return this._originLat;
+    }
+
+    /**
+     * Geodetic coordinates to {east, north, up} meters from the origin
+     */
+    forward(lon, lat, height = 0) {
+      const p = lonLatToECEF(lon, lat, height);
+      const dx = p.x - this._origin.x;
+      const dy = p.y - this._origin.y;
+      const dz = p.z - this._origin.z;
+
+      return {
+        east: dx * this._east.x + dy * this._east.y + dz * this._east.z,
+        north: dx * this._north.x + dy * this._north.y + dz * this._north.z,
+        up: dx * this._up.x + dy * this._up.y + dz * this._up.z
+      };
+    }
+
+    /**
+     * Point on the ellipsoid whose forward() east/north are the given ones
+     */
+    inverse(east, north) {
+      const o = this._origin;
+      const E = this._east;
+      const N = this._north;
+      const U = this._up;
+
+      // Slide along the origin's up axis until we hit the surface
+      let up = 0;
+      let result = null;
+      for (let i = 0; i < 5; i++) {
+        result = ecefToLonLat(
+            o.x + east * E.x + north * N.x + up * U.x,
+            o.y + east * E.y + north * N.y + up * U.y,
+            o.z + east * E.z + north * N.z + up * U.z);
+        if (Math.abs(result.height) < 1e-4) {
+          break;
+        }
+        up -= result.height;
+      }
+
+      return { lon: result.lon, lat: result.lat };
+    }
+  }
+
+  return {
+    WGS84_A: WGS84_A,
+    WGS84_F: WGS84_F,
+    WGS84_E2: WGS84_E2,
+    DEG2RAD: DEG2RAD,
+    RAD2DEG: RAD2DEG,
+    lonLatToWebMercator: lonLatToWebMercator,
+    webMercatorToLonLat: webMercatorToLonLat,
+    lonLatToUTM: lonLatToUTM,
+    utmToLonLat: utmToLonLat,
+    lonLatToECEF: lonLatToECEF,
+    ecefToLonLat: ecefToLonLat,
+    sphereToLonLat: sphereToLonLat,
+    lonLatToSphere: lonLatToSphere,
+    geodesicInverse: geodesicInverse,
+    geodesicDirect: geodesicDirect,
+    geodesicArea: geodesicArea,
+    LocalTangentPlane: LocalTangentPlane
+  };
+})();
@@ -0,0 +1,377 @@
+/**
+ * Heightmap raster export
+ *
+ * Stitches the elevation tiles under a lon/lat box into one grid, resamples
+ * it onto a regular lon/lat grid of the requested size and encodes that as
+ * a 16-bit grayscale PNG, little-endian Float32 RAW or Float32 GeoTIFF in
+ * EPSG:4326. Heights are real meters; the PNG spans the grid's min to max
+ * elevation, which are returned so they can be restored.
+ */
+
+import {terrain_export} from './terrain-export.js';
+import {terrain_provider} from './terrain-provider.js';
+
+export const heightmap_export = (function() {
+
+  const FORMATS = ['PNG16', 'RAW32', 'GeoTIFF'];
+
+  const EXTENSIONS = { PNG16: 'png', RAW32: 'r32', GeoTIFF: 'tif' };
+
+  // Most texels averaged along each axis when shrinking
+  const MAX_FILTER_TAPS = 8;
+
+  // Bilinear taps taken between yields to the renderer, so big exports
+  // don't freeze the page
+  const TAPS_PER_SLICE = 1 << 20;
+
+  const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+  // TIFF tags
+  const TAG_IMAGE_WIDTH = 256;
+  const TAG_IMAGE_LENGTH = 257;
+  const TAG_BITS_PER_SAMPLE = 258;
+  const TAG_COMPRESSION = 259;
+  const TAG_PHOTOMETRIC_INTERPRETATION = 262;
+  const TAG_STRIP_OFFSETS = 273;
+  const TAG_SAMPLES_PER_PIXEL = 277;
+  const TAG_ROWS_PER_STRIP = 278;
+  const TAG_STRIP_BYTE_COUNTS = 279;
+  const TAG_PLANAR_CONFIGURATION = 284;
+  const TAG_SAMPLE_FORMAT = 339;
+  const TAG_MODEL_PIXEL_SCALE = 33550;
+  const TAG_MODEL_TIEPOINT = 33922;
+  const TAG_GEO_KEY_DIRECTORY = 34735;
+  const TAG_GDAL_NODATA = 42113;
+
+  // TIFF field types and their byte sizes
+  const TYPE_ASCII = 2;
+  const TYPE_SHORT = 3;
+  const TYPE_LONG = 4;
+  const TYPE_DOUBLE = 12;
+  const TIFF_TYPE_SIZES = { [TYPE_ASCII]: 1, [TYPE_SHORT]: 2, [TYPE_LONG]: 4, [TYPE_DOUBLE]: 8 };
+
+  // GeoTIFF keys: geographic WGS84 in degrees, pixels as areas
+  const GEO_KEYS = [
+    [1024, 2],      // GTModelTypeGeoKey: geographic
+    [1025, 1],      // GTRasterTypeGeoKey: pixel is area
+    [2048, 4326],   // GeographicTypeGeoKey: WGS84
+    [2054, 9102]    // GeogAngularUnitsGeoKey: degree
+  ];
+
+  /**
+   * Stitch the tiles at zoom covering a box into one grid of real meters,
+   * as {width, height, heights, originX, originY, texelsPerTile}
+   *
+   * Every provider's texels are areas, so the centre of texel (i, j) lies at
+   * fractional tile coordinates (originX + (i + 0.5) / texelsPerTile,
+   * originY + (j + 0.5) / texelsPerTile) and tiles sit side by side
+   * without sharing any.
+   */
+  async function stitchTiles(terrainProvider, bbox, zoom) {
+    const range = terrain_export.getRegionTiles(bbox, zoom);
+    const coords = [];
+    for (let y = range.minY; y <= range.maxY; y++) {
+      for (let x = range.minX; x <= range.maxX; x++) {
+        coords.push([x, y]);
+      }
+    }
+    const tiles = await Promise.all(coords.map(([x, y]) => terrainProvider.loadTile(zoom, x, y)));
+
+    const size = tiles[0].width;
+    if (tiles.some((tile) => tile.width !== size)) {
+      throw new Error('Elevation tiles in the region differ in size');
+    }
+
+    const width = (range.maxX - range.minX + 1) * size;
+    const height = (range.maxY - range.minY + 1) * size;
+    const heights = new Float32Array(width * height);
+
+    for (let t = 0; t < tiles.length; t++) {
+      const tile = tiles[t];
+      const ox = (coords[t][0] - range.minX) * size;
+      const oy = (coords[t][1] - range.minY) * size;
+      for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+          heights[(oy + row) * width + ox + col] = tile.heights[row * size + col];
+        }
+      }
+      await nextFrame();
+    }
+
+    return { width, height, heights, originX: range.minX, originY: range.minY, texelsPerTile: size };
+  }
+
+  // Bilinear sample of a stitched grid at texel coordinates, NaN over nodata
+  function sampleStitched(grid, px, py) {
+    const x = Math.max(0, Math.min(grid.width - 1, px));
+    const y = Math.max(0, Math.min(grid.height - 1, py));
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, grid.width - 1);
+    const y1 = Math.min(y0 + 1, grid.height - 1);
+    const fx = x - x0;
+    const fy = y - y0;
+
+    const h = grid.heights;
+    const h0 = h[y0 * grid.width + x0] * (1 - fx) + h[y0 * grid.width + x1] * fx;
+    const h1 = h[y1 * grid.width + x0] * (1 - fx) + h[y1 * grid.width + x1] * fx;
+    return h0 * (1 - fy) + h1 * fy;
+  }
+
+  /**
+   * Elevation under a {west, south, east, north} box from the tiles at
+   * zoom, resampled to width x height pixels
+   *
+   * Pixels are equal steps of longitude and latitude, row 0 along the
+   * north edge, each the average of the stitched texels it covers.
+   * Returns {width, height, heights, min, max, bbox} with heights in real
+   * meters and NaN over nodata; min and max leave nodata out.
+   */
+  async function buildHeightmap(params) {
+    const { terrainProvider, bbox, zoom, width, height } = params;
+    const grid = await stitchTiles(terrainProvider, bbox, zoom);
+
+    const nw = terrain_provider.getFractionalTileCoords(bbox.west, bbox.north, zoom);
+    const se = terrain_provider.getFractionalTileCoords(bbox.east, bbox.south, zoom);
+    const texelsX = (se.tileX + se.fracX - nw.tileX - nw.fracX) * grid.texelsPerTile / width;
+    const texelsY = (se.tileY + se.fracY - nw.tileY - nw.fracY) * grid.texelsPerTile / height;
+    const tapsX = Math.max(1, Math.min(MAX_FILTER_TAPS, Math.ceil(texelsX)));
+    const tapsY = Math.max(1, Math.min(MAX_FILTER_TAPS, Math.ceil(texelsY)));
+    const rowsPerSlice = Math.max(1, Math.floor(TAPS_PER_SLICE / (width * tapsX * tapsY)));
+
+    const heights = new Float32Array(width * height);
+    let min = Infinity;
+    let max = -Infinity;
+
+    for (let j = 0; j < height; j++) {
+      const lat = bbox.north - (j + 0.5) / height * (bbox.north - bbox.south);
+      for (let i = 0; i < width; i++) {
+        const lon = bbox.west + (i + 0.5) / width * (bbox.east - bbox.west);
+        const c = terrain_provider.getFractionalTileCoords(lon, lat, zoom);
+        const px = (c.tileX + c.fracX - grid.originX) * grid.texelsPerTile - 0.5;
+        const py = (c.tileY + c.fracY - grid.originY) * grid.texelsPerTile - 0.5;
+
+        let sum = 0;
+        for (let ty = 0; ty < tapsY; ty++) {
+          for (let tx = 0; tx < tapsX; tx++) {
+            sum += sampleStitched(grid,
+                px + ((tx + 0.5) / tapsX - 0.5) * texelsX,
+                py + ((ty + 0.5) / tapsY - 0.5) * texelsY);
+          }
+        }
+
+        const h = sum / (tapsX * tapsY);
+        heights[j * width + i] = h;
+        if (!Number.isNaN(h)) {
+          min = Math.min(min, h);
+          max = Math.max(max, h);
+        }
+      }
+      if (j % rowsPerSlice === rowsPerSlice - 1) {
+        await nextFrame();
+      }
+    }
+
+    if (min > max) {
+      throw new Error('Export region has no elevation data');
+    }
+    return { width, height, heights, min, max, bbox };
+  }
+
+  // ============== Encoders ==============
+
+  async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  let _crcTable = null;
+
+  function crc32(bytes) {
+    if (!_crcTable) {
+      _crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        _crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = _crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Length, type, data and CRC of one PNG chunk
+  function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+      chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  }
+
+  /**
+   * 16-bit grayscale PNG, black at the heightmap's min and white at its
+   * max. Nodata is black.
+   */
+  async function encodePNG16(heightmap) {
+    const { width, height, heights, min, max } = heightmap;
+    const range = max - min || 1;
+
+    // Each row starts with its filter type, 0 being none; samples are
+    // big-endian
+    const raw = new Uint8Array(height * (1 + width * 2));
+    for (let j = 0, o = 0; j < height; j++) {
+      raw[o++] = 0;
+      for (let i = 0; i < width; i++) {
+        const h = heights[j * width + i];
+        const value = Number.isNaN(h) ? 0 : Math.round((h - min) / range * 65535);
+        raw[o++] = value >> 8;
+        raw[o++] = value & 0xff;
+      }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 16;  // Bit depth
+    header[9] = 0;   // Grayscale, then default compression, filtering and no interlace
+
+    return new Blob([
+      new Uint8Array(PNG_SIGNATURE),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', await deflate(raw)),
+      pngChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+  }
+
+  /**
+   * Headerless little-endian Float32 meters, row by row from the north
+   * edge. Nodata takes the min elevation, which engines cope with better
+   * than NaN.
+   */
+  function encodeRaw32(heightmap) {
+    const { width, height, heights, min } = heightmap;
+    const data = new DataView(new ArrayBuffer(width * height * 4));
+    for (let i = 0; i < width * height; i++) {
+      data.setFloat32(i * 4, Number.isNaN(heights[i]) ? min : heights[i], true);
+    }
+    return new Blob([data], { type: 'application/octet-stream' });
+  }
+
+  /**
+   * Single-strip, uncompressed, little-endian Float32 GeoTIFF in EPSG:4326,
+   * with nodata left as NaN and flagged as such
+   */
+  function encodeGeoTIFF(heightmap) {
+    const { width, height, heights, bbox } = heightmap;
+    const dataBytes = width * height * 4;
+
+    const geoKeyDirectory = [1, 1, 0, GEO_KEYS.length];
+    for (const [key, value] of GEO_KEYS) {
+      geoKeyDirectory.push(key, 0, 1, value);
+    }
+
+    // Entries must be sorted by tag; the strip offset is filled in below
+    const entries = [
+      [TAG_IMAGE_WIDTH, TYPE_LONG, [width]],
+      [TAG_IMAGE_LENGTH, TYPE_LONG, [height]],
+      [TAG_BITS_PER_SAMPLE, TYPE_SHORT, [32]],
+      [TAG_COMPRESSION, TYPE_SHORT, [1]],
+      [TAG_PHOTOMETRIC_INTERPRETATION, TYPE_SHORT, [1]],
+      [TAG_STRIP_OFFSETS, TYPE_LONG, [0]],
+      [TAG_SAMPLES_PER_PIXEL, TYPE_SHORT, [1]],
+      [TAG_ROWS_PER_STRIP, TYPE_LONG, [height]],
+      [TAG_STRIP_BYTE_COUNTS, TYPE_LONG, [dataBytes]],
+      [TAG_PLANAR_CONFIGURATION, TYPE_SHORT, [1]],
+      [TAG_SAMPLE_FORMAT, TYPE_SHORT, [3]],
+      [TAG_MODEL_PIXEL_SCALE, TYPE_DOUBLE,
+        [(bbox.east - bbox.west) / width, (bbox.north - bbox.south) / height, 0]],
+      [TAG_MODEL_TIEPOINT, TYPE_DOUBLE, [0, 0, 0, bbox.west, bbox.north, 0]],
+      [TAG_GEO_KEY_DIRECTORY, TYPE_SHORT, geoKeyDirectory],
+      [TAG_GDAL_NODATA, TYPE_ASCII, [...'nan\0'].map((c) => c.charCodeAt(0))]
+    ];
+
+    // Header, then the directory, then values too big to sit in their
+    // entries, then the pixels
+    const ifdOffset = 8;
+    let offset = ifdOffset + 2 + entries.length * 12 + 4;
+    const valueOffsets = entries.map(([, type, values]) => {
+      const bytes = values.length * TIFF_TYPE_SIZES[type];
+      if (bytes <= 4) {
+        return null;
+      }
+      const at = offset;
+      offset += bytes + (bytes & 1);
+      return at;
+    });
+    const dataOffset = offset + (4 - offset % 4) % 4;
+    entries.find(([tag]) => tag === TAG_STRIP_OFFSETS)[2][0] = dataOffset;
+
+    const buffer = new ArrayBuffer(dataOffset + dataBytes);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    view.setUint16(ifdOffset, entries.length, true);
+
+    const writers = {
+      [TYPE_ASCII]: (o, v) => view.setUint8(o, v),
+      [TYPE_SHORT]: (o, v) => view.setUint16(o, v, true),
+      [TYPE_LONG]: (o, v) => view.setUint32(o, v, true),
+      [TYPE_DOUBLE]: (o, v) => view.setFloat64(o, v, true)
+    };
+
+    entries.forEach(([tag, type, values], e) => {
+      const entry = ifdOffset + 2 + e * 12;
+      view.setUint16(entry, tag, true);
+      view.setUint16(entry + 2, type, true);
+      view.setUint32(entry + 4, values.length, true);
+
+      const at = valueOffsets[e] === null ? entry + 8 : valueOffsets[e];
+      if (valueOffsets[e] !== null) {
+        view.setUint32(entry + 8, at, true);
+      }
+      values.forEach((v, i) => writers[type](at + i * TIFF_TYPE_SIZES[type], v));
+    });
+
+    for (let i = 0; i < width * height; i++) {
+      view.setFloat32(dataOffset + i * 4, heights[i], true);
+    }
+    return new Blob([buffer], { type: 'image/tiff' });
+  }
+
+  /**
+   * Encode a heightmap in one of FORMATS, resolving with a Blob
+   */
+  function encodeHeightmap(heightmap, format) {
+    switch (format) {
+      case 'PNG16':
+        return encodePNG16(heightmap);
+      case 'RAW32':
+        return Promise.resolve(encodeRaw32(heightmap));
+      case 'GeoTIFF':
+        return Promise.resolve(encodeGeoTIFF(heightmap));
+    }
+    return Promise.reject(new Error(`Unknown heightmap format: ${format}`));
+  }
+
+  return {
+    FORMATS: FORMATS,
+    EXTENSIONS: EXTENSIONS,
+    buildHeightmap: buildHeightmap,
+    encodeHeightmap: encodeHeightmap
+  };
+})();
@@ -3,9 +3,21 @@ import {GUI} from 'https://cdn.jsdelivr.net/npm/three@0.125/examples/jsm/libs/da
 import {controls} from './controls.js';
 import {game} from './game.js';
 import {flat_terrain} from './flat-terrain.js';
+import {geodesy} from './geodesy.js';
+import {mapbox_terrain} from './mapbox-terrain.js';
+import {measure_tool} from './measure-tool.js';
+import {overlays} from './overlays.js';
+import {profile_tool} from './profile-tool.js';
+import {terrain} from './terrain.js';
+import {terrain_constants} from './terrain-constants.js';
+import {terrain_picker} from './terrain-picker.js';
+import {viewshed_tool} from './viewshed-tool.js';
 
 let _APP = null;
 
+const _GLOBE_START_LON = -108.5643;
+const _GLOBE_START_LAT = 39.0689;
+
 
 class ProceduralTerrain_Demo extends game.Game {
   constructor() {
@@ -23,28 +35,98 @@ class ProceduralTerrain_Demo extends game.Game {
       console.warn('Run with: node server.js');
     }
 
+    // Shared by whichever terrain gets created
+    this._overlays = new overlays.TerrainOverlays({
+        gui: this._gui,
+        guiParams: this._guiParams});
+
+    // ?mode=globe drapes the tiles over the whole Earth instead
+    this._globe = new URLSearchParams(window.location.search).get('mode') === 'globe';
+    if (this._globe) {
+      this._CreateGlobe();
+    } else {
+      this._CreateFlat();
+    }
+
+    this._AddEntity('_controls', new controls.FPSControls({
+        camera: this.graphics_.Camera,
+        scene: this.graphics_.Scene,
+        domElement: this.graphics_._threejs.domElement,
+        gui: this._gui,
+        guiParams: this._guiParams}), 0.0);
+
+    this._totalTime = 0;
+
+    this._LoadBackground();
+  }
+
+  _CreateFlat() {
     // Camera position for flat terrain (start above ground looking forward)
     this.graphics_.Camera.position.set(0, 2000, -5000);
     this.graphics_.Camera.lookAt(0, 0, 0);
 
-    this._AddEntity('_terrain', new flat_terrain.FlatTerrainManager({
+    const flatTerrain = new flat_terrain.FlatTerrainManager({
         camera: this.graphics_.Camera,
         scene: this.graphics_.Scene,
         scattering: this.graphics_._depthPass,
         gui: this._gui,
         guiParams: this._guiParams,
-        game: this}), 1.0);
+        overlays: this._overlays,
+        game: this});
+    this._AddEntity('_terrain', flatTerrain, 1.0);
 
-    this._AddEntity('_controls', new controls.FPSControls({
+    // Tools that work on points clicked on the ground share one picker
+    this._picker = new terrain_picker.TerrainPicker({
+        camera: this.graphics_.Camera,
+        terrain: flatTerrain});
+
+    this._AddEntity('_profile', new profile_tool.ElevationProfileTool({
+        terrain: flatTerrain,
+        picker: this._picker,
+        scene: this.graphics_.Scene,
+        gui: this._gui,
+        guiParams: this._guiParams}), 2.0);
+
+    this._AddEntity('_measure', new measure_tool.MeasureTool({
+        terrain: flatTerrain,
+        picker: this._picker,
         camera: this.graphics_.Camera,
         scene: this.graphics_.Scene,
-        domElement: this.graphics_._threejs.domElement,
         gui: this._gui,
-        guiParams: this._guiParams}), 0.0);
+        guiParams: this._guiParams}), 2.0);
 
-    this._totalTime = 0;
+    this._AddEntity('_viewshed', new viewshed_tool.ViewshedTool({
+        terrain: flatTerrain,
+        picker: this._picker,
+        scene: this.graphics_.Scene,
+        overlays: this._overlays,
+        gui: this._gui,
+        guiParams: this._guiParams}), 2.0);
+  }
 
-    this._LoadBackground();
+  _CreateGlobe() {
+    // Start in orbit over the spot the flat viewer opens on, low enough for
+    // the whole visible hemisphere to fit inside the camera's far plane
+    const start = geodesy.lonLatToSphere(
+        _GLOBE_START_LON, _GLOBE_START_LAT, terrain_constants.EARTH_RADIUS + 5000000);
+    this.graphics_.Camera.position.set(start.x, start.y, start.z);
+    this.graphics_.Camera.lookAt(0, 0, 0);
+
+    this._AddEntity('_terrain', new terrain.TerrainChunkManager({
+        camera: this.graphics_.Camera,
+        scene: this.graphics_.Scene,
+        scattering: this.graphics_._depthPass,
+        gui: this._gui,
+        guiParams: this._guiParams,
+        terrainProvider: new mapbox_terrain.MapboxTerrainProvider({
+            zoom: 15,
+            cacheSize: 1024,
+        }),
+        imageryProvider: new mapbox_terrain.MapboxImageryProvider({
+            cacheSize: 256,
+        }),
+        overlays: this._overlays,
+        game: this}), 1.0);
   }
 
   _CreateGUI() {
@@ -59,6 +141,11 @@ class ProceduralTerrain_Demo extends game.Game {
   }
 
   _LoadBackground() {
+    if (this._globe) {
+      this.graphics_.Scene.background = new THREE.Color(0x000000);
+      return;
+    }
+
     // Sky blue gradient background for flat terrain
     this.graphics_.Scene.background = new THREE.Color(0x87CEEB);
   }
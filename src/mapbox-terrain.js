@@ -5,135 +5,37 @@
  * Height formula: height = -10000 + ((R * 256 * 256 + G * 256 + B) * 0.1)
  */
 
-export const mapbox_terrain = (function() {
-
-  // Tile size in pixels
-  const TILE_SIZE = 512;
-
-  // Convert longitude to tile X coordinate
-  function lon2tileX(lon, zoom) {
-    return Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
-  }
+import {geodesy} from './geodesy.js';
+import {terrain_provider} from './terrain-provider.js';
 
-  // Convert latitude to tile Y coordinate
-  function lat2tileY(lat, zoom) {
-    return Math.floor(
-      (1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom)
-    );
-  }
-
-  // Convert tile X to longitude
-  function tileX2lon(x, zoom) {
-    return x / Math.pow(2, zoom) * 360 - 180;
-  }
+export const mapbox_terrain = (function() {
 
-  // Convert tile Y to latitude
-  function tileY2lat(y, zoom) {
-    const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
-    return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
-  }
+  const {
+    lon2tileX, lat2tileY, tileX2lon, tileY2lat,
+    getFractionalTileCoords, sampleTileHeight, sampleTileColour, TILE_SIZE
+  } = terrain_provider;
 
-  // Get the fractional position within a tile for a given lon/lat
-  function getFractionalTileCoords(lon, lat, zoom) {
-    const x = (lon + 180) / 360 * Math.pow(2, zoom);
-    const y = (1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom);
-    return {
-      tileX: Math.floor(x),
-      tileY: Math.floor(y),
-      fracX: x - Math.floor(x),
-      fracY: y - Math.floor(y)
-    };
-  }
+  // Web-Mercator tiles stop short of the poles
+  const MAX_LATITUDE = 85.0511;
 
   // Decode terrain-rgb pixel to height in meters
-  function decodeHeight(r, g, b) {
-    return -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
-  }
-
-  // Tile data cache
-  class TileCache {
-    constructor(maxSize = 256) {
-      this._cache = new Map();
-      this._maxSize = maxSize;
-      this._accessOrder = [];
-    }
-
-    _makeKey(z, x, y) {
-      return `${z}/${x}/${y}`;
-    }
-
-    get(z, x, y) {
-      const key = this._makeKey(z, x, y);
-      if (this._cache.has(key)) {
-        // Move to end of access order (LRU)
-        const idx = this._accessOrder.indexOf(key);
-        if (idx > -1) {
-          this._accessOrder.splice(idx, 1);
-        }
-        this._accessOrder.push(key);
-        return this._cache.get(key);
-      }
-      return null;
-    }
-
-    set(z, x, y, data) {
-      const key = this._makeKey(z, x, y);
-
-      // Evict oldest entries if at capacity
-      while (this._cache.size >= this._maxSize && this._accessOrder.length > 0) {
-        const oldestKey = this._accessOrder.shift();
-        this._cache.delete(oldestKey);
-      }
-
-      this._cache.set(key, data);
-      this._accessOrder.push(key);
-    }
-
-    has(z, x, y) {
-      return this._cache.has(this._makeKey(z, x, y));
-    }
-  }
-
-  // Pending tile loads
-  class LoadingTracker {
-    constructor() {
-      this._pending = new Map();
-    }
-
-    _makeKey(z, x, y) {
-      return `${z}/${x}/${y}`;
-    }
-
-    isLoading(z, x, y) {
-      return this._pending.has(this._makeKey(z, x, y));
-    }
-
-    getPromise(z, x, y) {
-      return this._pending.get(this._makeKey(z, x, y));
-    }
-
-    setLoading(z, x, y, promise) {
-      this._pending.set(this._makeKey(z, x, y), promise);
-    }
+  const decodeHeight = terrain_provider.decodeTerrainRGB;
 
-    clearLoading(z, x, y) {
-      this._pending.delete(this._makeKey(z, x, y));
-    }
+  function getApiUrl(api, z, x, y, accessToken) {
+    return `https://api.mapbox.com/v4/mapbox.${api}/${z}/${x}/${y}@2x.pngraw?access_token=${accessToken}`;
   }
 
 
   /**
    * MapboxTerrainProvider - Main class for accessing Mapbox terrain data
    */
-  class MapboxTerrainProvider {
+  class MapboxTerrainProvider extends terrain_provider.XYZTerrainProvider {
     constructor(params = {}) {
-      this._accessToken = new URLSearchParams(location.search).get('token');
-      this._zoom = params.zoom || 12;
-      this._tileCache = new TileCache(params.cacheSize || 256);
-      this._loadingTracker = new LoadingTracker();
-      this._heightScale = params.heightScale || 1.0;
-      this._canvas = null;
-      this._ctx = null;
+      super(Object.assign({}, params, {
+        encoding: 'terrain-rgb',
+        persistentNamespace: 'mapbox'
+      }));
+      this._accessToken = params.accessToken || new URLSearchParams(location.search).get('token');
     }
 
     set accessToken(token) {
@@ -144,283 +46,33 @@ export const mapbox_terrain = (function() {
       return this._accessToken;
     }
 
-    set zoom(z) {
-      this._zoom = Math.max(0, Math.min(15, Math.floor(z)));
-    }
-
-    get zoom() {
-      return this._zoom;
-    }
-
-    set heightScale(scale) {
-      this._heightScale = scale;
-    }
-
-    get heightScale() {
-      return this._heightScale;
-    }
-
-    _getTileUrl(z, x, y, api = 'terrain-rgb') {
-      return `https://api.mapbox.com/v4/mapbox.${api}/${z}/${x}/${y}@2x.pngraw?access_token=${this._accessToken}`;
-    }
-    
-    _getElevationTileUrl(z, x, y, api = 'terrain-rgb') {
-      return this._getTileUrl(z, x, y);
-    }
-    
-    _getSatelliteTileUrl(z, x, y) {
-      return this._getTileUrl(z, x, y, 'satellite');
-    }
-
-    _ensureCanvas() {
-      if (!this._canvas) {
-        this._canvas = document.createElement('canvas');
-        this._canvas.width = TILE_SIZE;
-        this._canvas.height = TILE_SIZE;
-        this._ctx = this._canvas.getContext('2d', { willReadFrequently: true });
-      }
-    }
-
-    /**
-     * Load a tile and return its height data as a Float32Array
-     */
-    async loadTile(z, x, y) {
-      // Check cache first
-      const cached = this._tileCache.get(z, x, y);
-      if (cached) {
-        return cached;
-      }
-
-      // Check if already loading
-      if (this._loadingTracker.isLoading(z, x, y)) {
-        return this._loadingTracker.getPromise(z, x, y);
-      }
-
-      // Start loading
-      const loadPromise = this._fetchAndDecodeTile(z, x, y);
-      this._loadingTracker.setLoading(z, x, y, loadPromise);
-
-      try {
-        const data = await loadPromise;
-        this._tileCache.set(z, x, y, data);
-        return data;
-      } finally {
-        this._loadingTracker.clearLoading(z, x, y);
-      }
-    }
-    
-    async _fetchBlob(url) {
-      return await (await fetch(url, { mode: 'cors', credentials: 'omit' })).blob();
-    }
-
-    async _fetchAndDecodeTile(z, x, y) {
-      const url = {
-        elevation: this._getElevationTileUrl(z, x, y),
-        satellite: this._getSatelliteTileUrl(z, x, y)
-      };
-
-      return new Promise(async (resolve, reject) => {
-        const [elevation, satellite] = await Promise.all([this._fetchBlob(url.elevation), this._fetchBlob(url.satellite)]);
-        
-        url.elevation = URL.createObjectURL(elevation);
-        url.satellite = URL.createObjectURL(satellite);
-        
-        const elevationPromise = new Promise(resolveElevation => {
-          const img = new Image();
-          img.crossOrigin = 'anonymous';
-
-          img.onload = () => {
-            this._ensureCanvas();
-            this._ctx.drawImage(img, 0, 0);
-            const imageData = this._ctx.getImageData(0, 0, TILE_SIZE, TILE_SIZE);
-
-            // Create height data array
-            const heights = new Float32Array(TILE_SIZE * TILE_SIZE);
-            const data = imageData.data;
-
-            for (let i = 0; i < TILE_SIZE * TILE_SIZE; i++) {
-              const r = data[i * 4];
-              const g = data[i * 4 + 1];
-              const b = data[i * 4 + 2];
-              heights[i] = decodeHeight(r, g, b) * this._heightScale;
-            }
-
-            resolveElevation({
-              heights: heights,
-              width: TILE_SIZE,
-              height: TILE_SIZE,
-              z: z,
-              x: x,
-              y: y,
-              bounds: {
-                west: tileX2lon(x, z),
-                east: tileX2lon(x + 1, z),
-                north: tileY2lat(y, z),
-                south: tileY2lat(y + 1, z)
-              }
-            });
-          };
-
-          img.onerror = (e) => {
-            console.error(`Failed to load tile ${z}/${x}/${y}:`, e);
-            // Return zero heights on error
-            const heights = new Float32Array(TILE_SIZE * TILE_SIZE);
-            heights.fill(0);
-            resolveElevation({
-              heights: heights,
-              width: TILE_SIZE,
-              height: TILE_SIZE,
-              z: z,
-              x: x,
-              y: y,
-              bounds: {
-                west: tileX2lon(x, z),
-                east: tileX2lon(x + 1, z),
-                north: tileY2lat(y, z),
-                south: tileY2lat(y + 1, z)
-              },
-              error: true
-            });
-          };
-
-          img.src = url.elevation;
-        });
-        
-        const satellitePromise = new Promise(resolveSatellite => {
-          const img = new Image();
-          img.crossOrigin = 'anonymous';
-
-          img.onload = () => {
-            this._ensureCanvas();
-            this._ctx.drawImage(img, 0, 0);
-            const numPixels = TILE_SIZE * TILE_SIZE;
-            const imageData = this._ctx.getImageData(0, 0, TILE_SIZE, TILE_SIZE);
-            const colors = new Uint8ClampedArray(3 * numPixels);
-            
-            for (let i = 0; i < numPixels; i += 1) {
-              const inputOffset = 4 * i;
-              const outputOffset = 3 * i;
-              
-              colors[outputOffset] = imageData.data[inputOffset];
-              colors[outputOffset + 1] = imageData.data[inputOffset + 1];
-              colors[outputOffset + 2] = imageData.data[inputOffset + 2];
-            }
-
-            resolveSatellite({
-              colors,
-            });
-          };
-
-          img.onerror = (e) => {
-            console.error(`Failed to load tile ${z}/${x}/${y}:`, e);
-            // Return zero heights on error
-            const colors = new Uint8ClampedArray(3 * TILE_SIZE * TILE_SIZE);
-            colors.fill(0);
-            
-            resolveSatellite({
-              colors,
-              error: true
-            });
-          };
-
-          img.src = url.satellite;
-        });
-        
-        const [tile, { colors }] = await Promise.all([elevationPromise, satellitePromise]);
-        
-        resolve(Object.assign(tile, { colors }));
-      });
+    _getTileUrl(z, x, y) {
+      return getApiUrl('terrain-rgb', z, x, y, this._accessToken);
     }
+  }
 
-    /**
-     * Get height at a specific lon/lat position
-     * Returns a Promise that resolves to the height in meters
-     */
-    async getHeightAt(lon, lat) {
-      const coords = getFractionalTileCoords(lon, lat, this._zoom);
-      const tile = await this.loadTile(this._zoom, coords.tileX, coords.tileY);
-
-      // Bilinear interpolation
-      const px = coords.fracX * (TILE_SIZE - 1);
-      const py = coords.fracY * (TILE_SIZE - 1);
-
-      const x0 = Math.floor(px);
-      const y0 = Math.floor(py);
-      const x1 = Math.min(x0 + 1, TILE_SIZE - 1);
-      const y1 = Math.min(y0 + 1, TILE_SIZE - 1);
-
-      const fx = px - x0;
-      const fy = py - y0;
-
-      const h00 = tile.heights[y0 * TILE_SIZE + x0];
-      const h10 = tile.heights[y0 * TILE_SIZE + x1];
-      const h01 = tile.heights[y1 * TILE_SIZE + x0];
-      const h11 = tile.heights[y1 * TILE_SIZE + x1];
-
-      // Bilinear interpolation
-      const h0 = h00 * (1 - fx) + h10 * fx;
-      const h1 = h01 * (1 - fx) + h11 * fx;
-
-      return h0 * (1 - fy) + h1 * fy;
-    }
-
-    /**
-     * Prefetch tiles for a given bounds
-     */
-    async prefetchTiles(westLon, southLat, eastLon, northLat, zoom = null) {
-      const z = zoom || this._zoom;
-
-      const minX = lon2tileX(westLon, z);
-      const maxX = lon2tileX(eastLon, z);
-      const minY = lat2tileY(northLat, z); // Note: Y is inverted
-      const maxY = lat2tileY(southLat, z);
-
-      const promises = [];
-      for (let x = minX; x <= maxX; x++) {
-        for (let y = minY; y <= maxY; y++) {
-          promises.push(this.loadTile(z, x, y));
-        }
-      }
-
-      return Promise.all(promises);
-    }
 
-    /**
-     * Get tile coordinates for a given lon/lat
-     */
-    getTileCoords(lon, lat, zoom = null) {
-      const z = zoom || this._zoom;
-      return {
-        z: z,
-        x: lon2tileX(lon, z),
-        y: lat2tileY(lat, z)
-      };
+  /**
+   * MapboxImageryProvider - Mapbox satellite imagery
+   */
+  class MapboxImageryProvider extends terrain_provider.XYZImageryProvider {
+    constructor(params = {}) {
+      super(Object.assign({ maxZoom: 19 }, params, {
+        persistentNamespace: 'mapbox.satellite'
+      }));
+      this._accessToken = params.accessToken || new URLSearchParams(location.search).get('token');
     }
 
-    /**
-     * Get the bounds of a tile in lon/lat
-     */
-    getTileBounds(z, x, y) {
-      return {
-        west: tileX2lon(x, z),
-        east: tileX2lon(x + 1, z),
-        north: tileY2lat(y, z),
-        south: tileY2lat(y + 1, z)
-      };
+    set accessToken(token) {
+      this._accessToken = token;
     }
 
-    /**
-     * Check if a tile is cached
-     */
-    isTileCached(z, x, y) {
-      return this._tileCache.has(z, x, y);
+    get accessToken() {
+      return this._accessToken;
     }
 
-    /**
-     * Get cached tile data (returns null if not cached)
-     */
-    getCachedTile(z, x, y) {
-      return this._tileCache.get(z, x, y);
+    _getTileUrl(z, x, y) {
+      return getApiUrl('satellite', z, x, y, this._accessToken);
     }
   }
 
@@ -428,29 +80,29 @@ export const mapbox_terrain = (function() {
   /**
    * HeightGenerator wrapper for use with the terrain system
    * Provides synchronous height access using cached tiles
+   *
+   * With params.sphere set, positions are points on a globe centred on the
+   * world origin (see geodesy.sphereToLonLat) rather than on a flat plane.
    */
   class MapboxHeightGenerator {
     constructor(terrainProvider, params = {}) {
       this._provider = terrainProvider;
+      this._sphere = params.sphere || false;
       this._centerLon = params.centerLon || 0;
       this._centerLat = params.centerLat || 0;
+      this._tangentPlane = new geodesy.LocalTangentPlane(this._centerLon, this._centerLat);
       this._metersPerUnit = params.metersPerUnit || 1;
       this._defaultHeight = params.defaultHeight || 0;
     }
 
     /**
      * Convert world X/Y to lon/lat
-     * Assumes world is centered on centerLon/centerLat
+     * Assumes world is centered on centerLon/centerLat, X east and Y north
+     * on the local tangent plane
      */
     worldToLonLat(worldX, worldY) {
-      // Simple equirectangular approximation
-      // At the equator, 1 degree ~ 111320 meters
-      const metersPerDegree = 111320;
-
-      const lon = this._centerLon + (worldX * this._metersPerUnit) / (metersPerDegree * Math.cos(this._centerLat * Math.PI / 180));
-      const lat = this._centerLat + (worldY * this._metersPerUnit) / metersPerDegree;
-
-      return { lon, lat };
+      return this._tangentPlane.inverse(
+          worldX * this._metersPerUnit, worldY * this._metersPerUnit);
     }
 
     /**
@@ -458,44 +110,51 @@ export const mapbox_terrain = (function() {
      * Returns default height if tile not loaded
      */
     Get(x, y, z) {
-      const { lon, lat } = this.worldToLonLat(x, y);
-
-      const zoom = this._provider.zoom;
-      const coords = getFractionalTileCoords(lon, lat, zoom);
-      const tile = this._provider.getCachedTile(zoom, coords.tileX, coords.tileY);
+      const { tile, coords } = this._findTile(x, y, z);
 
       if (!tile) {
         return [this._defaultHeight, 0]; // Height, weight (0 = not loaded)
       }
 
-      // Bilinear interpolation
-      const px = coords.fracX * (TILE_SIZE - 1);
-      const py = coords.fracY * (TILE_SIZE - 1);
+      const height = sampleTileHeight(tile, coords.fracX, coords.fracY);
 
-      const x0 = Math.floor(px);
-      const y0 = Math.floor(py);
-      const x1 = Math.min(x0 + 1, TILE_SIZE - 1);
-      const y1 = Math.min(y0 + 1, TILE_SIZE - 1);
+      return [height, 1]; // Height, weight (1 = loaded)
+    }
 
-      const fx = px - x0;
-      const fy = py - y0;
+    /**
+     * Get imagery colour at world position as [r, g, b] in [0, 1]
+     * Returns null if the tile isn't loaded or has no imagery
+     */
+    GetColour(x, y, z) {
+      const { tile, coords } = this._findTile(x, y, z);
 
-      const h00 = tile.heights[y0 * TILE_SIZE + x0];
-      const h10 = tile.heights[y0 * TILE_SIZE + x1];
-      const h01 = tile.heights[y1 * TILE_SIZE + x0];
-      const h11 = tile.heights[y1 * TILE_SIZE + x1];
+      return tile ? sampleTileColour(tile, coords.fracX, coords.fracY) : null;
+    }
 
-      const h0 = h00 * (1 - fx) + h10 * fx;
-      const h1 = h01 * (1 - fx) + h11 * fx;
-      const height = h0 * (1 - fy) + h1 * fy;
+    _findTile(x, y, z) {
+      let lon;
+      let lat;
+      if (this._sphere) {
+        ({ lon, lat } = geodesy.sphereToLonLat(x, y, z));
+        lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+      } else {
+        ({ lon, lat } = this.worldToLonLat(x, y));
+      }
 
-      return [height, 1]; // Height, weight (1 = loaded)
+      const zoom = this._provider.zoom;
+      const coords = getFractionalTileCoords(lon, lat, zoom);
+      coords.tileX = ((coords.tileX % (1 << zoom)) + (1 << zoom)) % (1 << zoom);
+      const tile = this._provider.getCachedTile(zoom, coords.tileX, coords.tileY);
+
+      return { tile, coords };
     }
   }
 
   return {
     MapboxTerrainProvider: MapboxTerrainProvider,
+    MapboxImageryProvider: MapboxImageryProvider,
     MapboxHeightGenerator: MapboxHeightGenerator,
+    MAX_LATITUDE: MAX_LATITUDE,
     lon2tileX: lon2tileX,
     lat2tileY: lat2tileY,
     tileX2lon: tileX2lon,
@@ -0,0 +1,554 @@
+/**
+ * Distance, area and height difference measurements on the flat terrain
+ *
+ * Everything is worked out on the WGS84 ellipsoid from the lon/lat of the
+ * clicked points, never from the tangent-plane world coordinates, which
+ * stretch away from the origin. Measurements stay in the scene as labelled
+ * annotations, are recomputed as better tiles load, and can be downloaded
+ * together as GeoJSON.
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
+import {geodesy} from './geodesy.js';
+import {terrain_export} from './terrain-export.js';
+
+export const measure_tool = (function() {
+
+  const MODES = ['Distance', 'Area', 'Height'];
+
+  // Points each mode takes before it finishes by itself; area polygons
+  // finish on a double click or Enter
+  const POINTS_PER_MODE = { Distance: 2, Area: Infinity, Height: 2 };
+
+  const COLOURS = { Distance: 0x33ccff, Area: 0x66ff66, Height: 0xff9933 };
+
+  // Ground-following lines are sampled this often (meters), up to a limit
+  const GROUND_SPACING = 5;
+  const MAX_GROUND_SAMPLES = 2000;
+
+  // Cells across the grid surface area is integrated over
+  const SURFACE_GRID = 100;
+
+  // Seconds between checks for better tiles under measurements
+  const REFRESH_INTERVAL = 2.0;
+
+  // Clicks closer than this (degrees) to the last point are the second
+  // half of a double click
+  const DUPLICATE_POINT = 1e-7;
+
+  function formatLength(meters) {
+    if (meters === null) {
+      return '–';
+    }
+    return meters < 1000 ? `${meters.toFixed(1)} m` : `${(meters / 1000).toFixed(3)} km`;
+  }
+
+  function formatArea(squareMeters) {
+    if (squareMeters === null) {
+      return '–';
+    }
+    return squareMeters < 1e6 ? `${squareMeters.toFixed(0)} m²` : `${(squareMeters / 1e6).toFixed(3)} km²`;
+  }
+
+  /**
+   * Walk the geodesic from a to b, sampling elevationAt along it
+   *
+   * Returns the geodesic length, the length following the ground (rising
+   * and falling with it, flat over gaps in the data) and the samples
+   * {lon, lat, elevation} for drawing.
+   */
+  function groundPath(a, b, elevationAt) {
+    const { distance, azimuth1 } = geodesy.geodesicInverse(a.lon, a.lat, b.lon, b.lat);
+    const count = Math.min(MAX_GROUND_SAMPLES, Math.max(1, Math.ceil(distance / GROUND_SPACING)));
+    const step = distance / count;
+
+    const path = [];
+    let ground = 0;
+    for (let i = 0; i <= count; i++) {
+      let point = b;
+      if (i === 0) {
+        point = a;
+      } else if (i < count) {
+        point = geodesy.geodesicDirect(a.lon, a.lat, azimuth1, step * i);
+      }
+
+      const sample = { lon: point.lon, lat: point.lat, elevation: elevationAt(point.lon, point.lat) };
+      const previous = path[path.length - 1];
+      if (previous) {
+        const rise = previous.elevation === null || sample.elevation === null ?
+            0 : sample.elevation - previous.elevation;
+        ground += Math.hypot(step, rise);
+      }
+      path.push(sample);
+    }
+
+    return { geodesic: distance, ground: ground, path: path };
+  }
+
+  // Straight 3D distance between two points at their elevations, or null
+  function straightDistance(a, b) {
+    if (a.elevation === null || b.elevation === null) {
+      return null;
+    }
+    const p = geodesy.lonLatToECEF(a.lon, a.lat, a.elevation);
+    const q = geodesy.lonLatToECEF(b.lon, b.lat, b.elevation);
+    return Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z);
+  }
+
+  // Mean lon/lat of some points, close enough to the middle of the small
+  // polygons people click
+  function centroid(points) {
+    return {
+      lon: points.reduce((sum, p) => sum + p.lon, 0) / points.length,
+      lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length
+    };
+  }
+
+  // Even-odd test of an {east, north} point against a ring of them
+  function insideRing(ring, east, north) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if ((a.north > north) !== (b.north > north) &&
+          east < (b.east - a.east) * (north - a.north) / (b.north - a.north) + a.east) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function triangleArea(ax, ay, az, bx, by, bz) {
+    return 0.5 * Math.hypot(ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx);
+  }
+
+  /**
+   * How much bigger than its footprint the ground inside a polygon is
+   *
+   * Drapes a grid over the polygon on the tangent plane at its centre and
+   * compares the draped area of the cells inside with their flat area.
+   * Cells touching missing data are left out; null if that's all of them.
+   */
+  function surfaceRatio(points, elevationAt) {
+    const centre = centroid(points);
+    const plane = new geodesy.LocalTangentPlane(centre.lon, centre.lat);
+    const ring = points.map((p) => plane.forward(p.lon, p.lat, 0));
+
+    const minE = Math.min(...ring.map((p) => p.east));
+    const minN = Math.min(...ring.map((p) => p.north));
+    const extent = Math.max(
+        Math.max(...ring.map((p) => p.east)) - minE,
+        Math.max(...ring.map((p) => p.north)) - minN);
+    const cell = extent / SURFACE_GRID;
+    if (cell <= 0) {
+      return null;
+    }
+
+    const corners = new Array((SURFACE_GRID + 1) * (SURFACE_GRID + 1));
+    const cornerElevation = (i, j) => {
+      const index = j * (SURFACE_GRID + 1) + i;
+      if (corners[index] === undefined) {
+        const { lon, lat } = plane.inverse(minE + i * cell, minN + j * cell);
+        corners[index] = elevationAt(lon, lat);
+      }
+      return corners[index];
+    };
+
+    let flat = 0;
+    let draped = 0;
+    for (let j = 0; j < SURFACE_GRID; j++) {
+      for (let i = 0; i < SURFACE_GRID; i++) {
+        if (!insideRing(ring, minE + (i + 0.5) * cell, minN + (j + 0.5) * cell)) {
+          continue;
+        }
+
+        const h00 = cornerElevation(i, j);
+        const h10 = cornerElevation(i + 1, j);
+        const h01 = cornerElevation(i, j + 1);
+        const h11 = cornerElevation(i + 1, j + 1);
+        if (h00 === null || h10 === null || h01 === null || h11 === null) {
+          continue;
+        }
+
+        draped += triangleArea(cell, 0, h10 - h00, cell, cell, h11 - h00);
+        draped += triangleArea(cell, cell, h11 - h00, 0, cell, h01 - h00);
+        flat += cell * cell;
+      }
+    }
+
+    return flat > 0 ? draped / flat : null;
+  }
+
+  /**
+   * Results for a measurement of the given mode over picked {lon, lat}
+   * points, with elevations from elevationAt(lon, lat) in meters (null
+   * where unknown)
+   *
+   * Also returns what to draw it with: the line following the ground, the
+   * straight line between its ends, and the point its label hangs from.
+   */
+  function computeMeasurement(mode, points, elevationAt) {
+    const vertices = points.map((p) => ({ lon: p.lon, lat: p.lat, elevation: elevationAt(p.lon, p.lat) }));
+
+    if (mode === 'Area') {
+      const edges = vertices.map((p, i) => groundPath(p, vertices[(i + 1) % vertices.length], elevationAt));
+      const area = geodesy.geodesicArea(vertices);
+      const ratio = surfaceRatio(vertices, elevationAt);
+      const surfaceArea = ratio === null ? null : area * ratio;
+      const perimeter = edges.reduce((sum, e) => sum + e.geodesic, 0);
+      const centre = centroid(vertices);
+      return {
+        vertices: vertices,
+        ground: [].concat(...edges.map((e) => e.path)),
+        straight: null,
+        anchor: centre,
+        results: {
+          area: area,
+          surfaceArea: surfaceArea,
+          perimeter: perimeter
+        },
+        label: [
+          `Area ${formatArea(area)}`,
+          `Surface ${formatArea(surfaceArea)}`,
+          `Perimeter ${formatLength(perimeter)}`
+        ]
+      };
+    }
+
+    const [a, b] = vertices;
+    const path = groundPath(a, b, elevationAt);
+
+    if (mode === 'Height') {
+      const difference = a.elevation === null || b.elevation === null ? null : b.elevation - a.elevation;
+      const angle = difference === null ? null : Math.atan2(difference, path.geodesic) * geodesy.RAD2DEG;
+      return {
+        vertices: vertices,
+        ground: null,
+        straight: [a, b],
+        anchor: difference !== null && difference < 0 ? a : b,
+        results: {
+          heightDifference: difference,
+          horizontalDistance: path.geodesic,
+          angle: angle
+        },
+        label: [
+          `Δh ${difference === null ? '–' : `${difference >= 0 ? '+' : ''}${difference.toFixed(1)} m`}`,
+          `Horizontal ${formatLength(path.geodesic)}`,
+          `Angle ${angle === null ? '–' : `${angle.toFixed(1)}°`}`
+        ]
+      };
+    }
+
+    const straight = straightDistance(a, b);
+    return {
+      vertices: vertices,
+      ground: path.path,
+      straight: [a, b],
+      anchor: path.path[path.path.length >> 1],
+      results: {
+        groundDistance: path.ground,
+        straightDistance: straight,
+        geodesicDistance: path.geodesic
+      },
+      label: [
+        `Ground ${formatLength(path.ground)}`,
+        `Straight ${formatLength(straight)}`,
+        `Ellipsoid ${formatLength(path.geodesic)}`
+      ]
+    };
+  }
+
+  // GeoJSON position, with the elevation when it's known
+  function toPosition(p) {
+    return p.elevation === null ? [p.lon, p.lat] : [p.lon, p.lat, p.elevation];
+  }
+
+  /**
+   * FeatureCollection of measurements, one feature each with its results
+   * as properties (meters, square meters and degrees)
+   */
+  function toGeoJSON(measurements) {
+    return {
+      type: 'FeatureCollection',
+      features: measurements.map((m) => {
+        const coordinates = m.computed.vertices.map(toPosition);
+        return {
+          type: 'Feature',
+          geometry: m.mode === 'Area' ?
+              { type: 'Polygon', coordinates: [coordinates.concat([coordinates[0]])] } :
+              { type: 'LineString', coordinates: coordinates },
+          properties: Object.assign({ measurement: m.mode.toLowerCase() }, m.computed.results)
+        };
+      })
+    };
+  }
+
+  /**
+   * MeasureTool - Take and keep measurements on the flat terrain
+   *
+   * Adds a "Measure" GUI folder. Runs as a game entity so labels follow the
+   * camera, and results refresh while tiles load.
+   */
+  class MeasureTool {
+    constructor(params) {
+      this._params = params;
+      this._terrain = params.terrain;
+      this._measurements = [];
+      this._pending = null;
+      this._refreshTimer = 0;
+      this._center = this._terrain.center;
+      this._elevationVersion = this._terrain.elevationVersion;
+
+      this._labels = document.getElementById('measure-labels');
+
+      this._initGui(params);
+    }
+
+    _initGui(params) {
+      params.guiParams.measure = {
+        mode: MODES[0],
+        measure: () => this._startMeasuring(),
+        undo: () => this._removeMeasurement(this._measurements[this._measurements.length - 1]),
+        clear: () => this._clear(),
+        exportGeoJSON: () => this._exportGeoJSON()
+      };
+
+      const folder = params.gui.addFolder('Measure');
+      folder.add(params.guiParams.measure, 'mode', MODES).name('Mode');
+      folder.add(params.guiParams.measure, 'measure').name('Measure (click points)');
+      folder.add(params.guiParams.measure, 'undo').name('Remove Last');
+      folder.add(params.guiParams.measure, 'clear').name('Clear All');
+      folder.add(params.guiParams.measure, 'exportGeoJSON').name('Export GeoJSON');
+    }
+
+    _startMeasuring() {
+      const mode = this._params.guiParams.measure.mode;
+      const measurement = this._createMeasurement(mode);
+
+      this._params.picker.start((hit) => {
+        const last = measurement.points[measurement.points.length - 1];
+        if (last && Math.abs(last.lon - hit.lon) < DUPLICATE_POINT &&
+            Math.abs(last.lat - hit.lat) < DUPLICATE_POINT) {
+          return;
+        }
+        measurement.points.push({ lon: hit.lon, lat: hit.lat });
+        this._compute(measurement);
+        this._build(measurement);
+        if (measurement.points.length >= POINTS_PER_MODE[mode]) {
+          this._params.picker.stop();
+        }
+      }, () => {
+        if (this._pending === measurement) {
+          this._pending = null;
+        }
+        const needed = mode === 'Area' ? 3 : 2;
+        if (measurement.points.length < needed) {
+          this._removeMeasurement(measurement);
+        }
+      });
+
+      // After start(), which finishes any measurement already underway
+      this._pending = measurement;
+    }
+
+    _createMeasurement(mode) {
+      const label = document.createElement('div');
+      label.className = 'measure-label';
+      label.style.borderColor = `#${new THREE.Color(COLOURS[mode]).getHexString()}`;
+      this._labels.appendChild(label);
+
+      const group = new THREE.Group();
+      this._params.scene.add(group);
+
+      const measurement = { mode, points: [], computed: null, reads: [], group, label, anchor: null };
+      this._measurements.push(measurement);
+      return measurement;
+    }
+
+    _removeMeasurement(measurement) {
+      if (!measurement || measurement === this._pending) {
+        return;
+      }
+      this._disposeGroup(measurement.group);
+      this._params.scene.remove(measurement.group);
+      measurement.label.remove();
+      this._measurements.splice(this._measurements.indexOf(measurement), 1);
+    }
+
+    _clear() {
+      this._params.picker.stop();
+      for (const measurement of this._measurements.slice()) {
+        this._removeMeasurement(measurement);
+      }
+    }
+
+    _disposeGroup(group) {
+      for (const child of group.children.slice()) {
+        child.geometry.dispose();
+        child.material.dispose();
+        group.remove(child);
+      }
+    }
+
+    _exportGeoJSON() {
+      const finished = this._measurements.filter((m) => m.computed && m !== this._pending);
+      const blob = new Blob(
+          [JSON.stringify(toGeoJSON(finished), null, 2)], { type: 'application/geo+json' });
+      terrain_export.download(blob, 'measurements.geojson');
+    }
+
+    // World position of a lon/lat on the ground, lifted clear of it a little
+    _toWorld(lon, lat) {
+      const { x, z } = this._terrain.lonLatToWorld(lon, lat);
+      const height = this._terrain.getHeightAtLonLat(lon, lat);
+      const y = height === null || Number.isNaN(height) ? 0 : height;
+      return new THREE.Vector3(x, y + 2, z);
+    }
+
+    /**
+     * Work out a measurement's results, noting every lon/lat it read the
+     * elevation at and the zoom of the tile that came from
+     */
+    _compute(measurement) {
+      const { mode, points } = measurement;
+      const reads = [];
+      const elevationAt = (lon, lat) => {
+        reads.push(lon, lat, this._terrain.getElevationZoomAt(lon, lat));
+        return this._terrain.getElevationAtLonLat(lon, lat);
+      };
+
+      const complete = points.length >= (mode === 'Area' ? 3 : 2);
+      measurement.computed = complete ? computeMeasurement(mode, points, elevationAt) : null;
+      measurement.reads = reads;
+    }
+
+    // Whether any elevation a measurement read would now come from a
+    // different tile, because a better one loaded or its tile was evicted
+    _isStale(measurement) {
+      const reads = measurement.reads;
+      for (let i = 0; i < reads.length; i += 3) {
+        if (this._terrain.getElevationZoomAt(reads[i], reads[i + 1]) !== reads[i + 2]) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    // Rebuild a measurement's lines, points and label in world space
+    _build(measurement) {
+      const { mode, points, group } = measurement;
+      this._disposeGroup(group);
+
+      const material = (options) => Object.assign({
+        color: COLOURS[mode],
+        depthTest: false,
+        depthWrite: false,
+        transparent: true
+      }, options);
+      const addObject = (object) => {
+        object.renderOrder = 1000;
+        object.frustumCulled = false;
+        group.add(object);
+      };
+
+      addObject(new THREE.Points(
+          new THREE.BufferGeometry().setFromPoints(points.map((p) => this._toWorld(p.lon, p.lat))),
+          new THREE.PointsMaterial(material({ size: 7, sizeAttenuation: false }))));
+
+      measurement.label.style.display = measurement.computed ? 'block' : 'none';
+      if (!measurement.computed) {
+        return;
+      }
+
+      // Solid along the ground, dashed straight through the air
+      const { ground, straight, anchor, label } = measurement.computed;
+      if (ground) {
+        addObject(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(ground.map((p) => this._toWorld(p.lon, p.lat))),
+            new THREE.LineBasicMaterial(material())));
+      }
+      if (straight) {
+        const object = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(straight.map((p) => this._toWorld(p.lon, p.lat))),
+            new THREE.LineDashedMaterial(material({ dashSize: 10, gapSize: 6 })));
+        object.computeLineDistances();
+        addObject(object);
+      }
+
+      // Height differences get a plumb line up from the lower point
+      if (mode === 'Height') {
+        const [a, b] = measurement.computed.vertices.map((p) => this._toWorld(p.lon, p.lat));
+        const [low, high] = a.y < b.y ? [a, b] : [b, a];
+        addObject(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([low, new THREE.Vector3(low.x, high.y, low.z)]),
+            new THREE.LineBasicMaterial(material())));
+      }
+
+      measurement.anchor = this._toWorld(anchor.lon, anchor.lat);
+      measurement.label.innerHTML = label.join('<br>');
+    }
+
+    // Pin labels over their anchors on screen
+    _placeLabels() {
+      const camera = this._params.camera;
+      const p = new THREE.Vector3();
+      for (const measurement of this._measurements) {
+        if (!measurement.anchor) {
+          continue;
+        }
+
+        p.copy(measurement.anchor).project(camera);
+        const onScreen = p.z > -1 && p.z < 1 && Math.abs(p.x) <= 1 && Math.abs(p.y) <= 1;
+        measurement.label.style.visibility = onScreen ? 'visible' : 'hidden';
+        if (onScreen) {
+          measurement.label.style.left = `${(p.x + 1) / 2 * window.innerWidth}px`;
+          measurement.label.style.top = `${(1 - p.y) / 2 * window.innerHeight}px`;
+        }
+      }
+    }
+
+    Update(timeInSeconds) {
+      if (!this._measurements.length) {
+        return;
+      }
+
+      // Results improve as better tiles load under a measurement; nothing
+      // is redone once the tile cache settles
+      const stale = new Set();
+      this._refreshTimer += timeInSeconds;
+      if (this._refreshTimer >= REFRESH_INTERVAL) {
+        this._refreshTimer = 0;
+        const version = this._terrain.elevationVersion;
+        if (version !== this._elevationVersion) {
+          this._elevationVersion = version;
+          for (const measurement of this._measurements) {
+            if (this._isStale(measurement)) {
+              this._compute(measurement);
+              stale.add(measurement);
+            }
+          }
+        }
+      }
+
+      // World positions go stale when the terrain recenters
+      const center = this._terrain.center;
+      const recentered = center.lon !== this._center.lon || center.lat !== this._center.lat;
+      this._center = center;
+
+      for (const measurement of this._measurements) {
+        if (recentered || stale.has(measurement)) {
+          this._build(measurement);
+        }
+      }
+
+      this._placeLabels();
+    }
+  }
+
+  return {
+    MODES: MODES,
+    computeMeasurement: computeMeasurement,
+    toGeoJSON: toGeoJSON,
+    MeasureTool: MeasureTool
+  };
+})();
@@ -0,0 +1,145 @@
+/**
+ * Shading modes and overlays the terrain shader draws the terrain with
+ *
+ * One set of uniforms is shared by the flat and planet materials, so the
+ * "Overlays" GUI folder drives whichever renderer is running. Each material
+ * adds its own heightScale and planetRadius so the shader can recover
+ * meters above sea level. Analysis modes explain themselves in the
+ * #legend panel. The viewshed uniforms are left to the tool that computes
+ * one to fill in.
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
+
+export const overlays = (function() {
+
+  const CONTOUR_COLOUR = '#4a3320';
+
+  // In the order of the shader's SHADING_* constants
+  const SHADING_MODES = ['Satellite', 'Elevation', 'Slope', 'Aspect', 'Hillshade'];
+
+  // Legend entries as [colour, label], matching the shader's ramps
+  const ELEVATION_LEGEND = [
+    ['#f2f2f7', '3500 m'],
+    ['#807366', '2500 m'],
+    ['#336626', '1500 m'],
+    ['#4d9933', '500 m'],
+    ['#d9d4a6', '10 m'],
+    ['#336699', '0 m'],
+    ['#1a3380', '-100 m']
+  ];
+
+  const SLOPE_LEGEND = [
+    ['#1f3da1', '45° +'],
+    ['#a11fa1', '40–45°'],
+    ['#e61f1f', '35–40°'],
+    ['#f5991a', '30–35°'],
+    ['#f2e61a', '27–30°'],
+    ['#d9d9d9', 'under 27°']
+  ];
+
+  class TerrainOverlays {
+    constructor(params) {
+      this._uniforms = {
+        showContours: { value: false },
+        contourInterval: { value: 50 },
+        contourIndex: { value: 5 },
+        contourWidth: { value: 1 },
+        contourColour: { value: new THREE.Color(CONTOUR_COLOUR) },
+        shadingMode: { value: 0 },
+        showViewshed: { value: false },
+        viewshedMap: { value: new THREE.DataTexture(new Uint8Array(4), 1, 1) },
+        viewshedTransform: { value: new THREE.Matrix3() },
+        viewshedOpacity: { value: 0.5 }
+      };
+
+      this._legend = document.getElementById('legend');
+
+      this._initGui(params);
+    }
+
+    /**
+     * Uniforms to merge into a terrain material's own
+     */
+    get uniforms() {
+      return this._uniforms;
+    }
+
+    _initGui(params) {
+      const guiParams = params.guiParams;
+      const uniforms = this._uniforms;
+
+      guiParams.overlays = {
+        shading: SHADING_MODES[uniforms.shadingMode.value],
+        contours: uniforms.showContours.value,
+        contourInterval: uniforms.contourInterval.value,
+        contourIndex: uniforms.contourIndex.value,
+        contourWidth: uniforms.contourWidth.value,
+        contourColour: CONTOUR_COLOUR
+      };
+
+      const folder = params.gui.addFolder('Overlays');
+
+      folder.add(guiParams.overlays, 'shading', SHADING_MODES).name('Shading').onChange((v) => {
+        uniforms.shadingMode.value = SHADING_MODES.indexOf(v);
+        this._updateLegend(v);
+      });
+
+      folder.add(guiParams.overlays, 'contours').name('Contours').onChange((v) => {
+        uniforms.showContours.value = v;
+      });
+
+      folder.add(guiParams.overlays, 'contourInterval', 1, 1000).name('Contour Interval (m)').onChange((v) => {
+        uniforms.contourInterval.value = v;
+      });
+
+      folder.add(guiParams.overlays, 'contourIndex', 2, 10, 1).name('Index Contour Every').onChange((v) => {
+        uniforms.contourIndex.value = v;
+      });
+
+      folder.add(guiParams.overlays, 'contourWidth', 0.5, 4).name('Contour Width (px)').onChange((v) => {
+        uniforms.contourWidth.value = v;
+      });
+
+      folder.addColor(guiParams.overlays, 'contourColour').name('Contour Colour').onChange((v) => {
+        uniforms.contourColour.value.set(v);
+      });
+    }
+
+    // Show the key to an analysis shading mode, or hide it for imagery
+    _updateLegend(mode) {
+      const swatches = (entries) => entries.map(([colour, label]) =>
+          `<div class="legend-row"><span class="legend-swatch" style="background: ${colour}"></span>${label}</div>`
+      ).join('');
+
+      let body = null;
+      switch (mode) {
+        case 'Elevation':
+          body = swatches(ELEVATION_LEGEND);
+          break;
+        case 'Slope':
+          body = swatches(SLOPE_LEGEND);
+          break;
+        case 'Aspect':
+          body = '<div class="legend-wheel">' +
+              '<span style="top: 2px; left: 44px">N</span><span style="top: 42px; right: 4px">E</span>' +
+              '<span style="bottom: 2px; left: 45px">S</span><span style="top: 42px; left: 4px">W</span>' +
+              '</div><div>Direction slopes face; grey is flat</div>';
+          break;
+        case 'Hillshade':
+          body = '<div class="legend-ramp"></div><div>Shadow to lit, from the north-west</div>';
+          break;
+      }
+
+      this._legend.style.display = body ? 'block' : 'none';
+      if (body) {
+        this._legend.innerHTML = `<h3>${mode}</h3>${body}`;
+      }
+    }
+  }
+
+  return {
+    SHADING_MODES: SHADING_MODES,
+    TerrainOverlays: TerrainOverlays
+  };
+})();
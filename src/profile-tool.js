@@ -0,0 +1,464 @@
+/**
+ * Elevation profiles along paths drawn on the flat terrain
+ *
+ * Clicked points make a path, which is sampled every few meters from the
+ * most detailed tiles loaded so far and resampled as better ones arrive.
+ * The #profile panel charts elevation against distance; hovering it marks
+ * the matching spot on the path in the 3D view.
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
+import {geodesy} from './geodesy.js';
+
+export const profile_tool = (function() {
+
+  // Spacing is widened on long paths to stay under this
+  const MAX_SAMPLES = 4000;
+
+  // Seconds between resamples while tiles load in
+  const RESAMPLE_INTERVAL = 2.0;
+
+  // Clicks closer than this (degrees) to the last point are the second
+  // half of a double click
+  const DUPLICATE_POINT = 1e-7;
+
+  const PATH_COLOUR = 0xffcc00;
+  const MARKER_COLOUR = 0xff3030;
+
+  const CHART_PADDING = { left: 48, right: 12, top: 10, bottom: 22 };
+
+  /**
+   * Sample a path of {lon, lat} points every spacing meters
+   *
+   * Each leg is walked along the tangent plane at its start, which is
+   * straight enough on the ground for the legs people click. Returns
+   * samples of {lon, lat, distance, elevation}, elevation from
+   * elevationAt(lon, lat) and null where it has no data.
+   */
+  function sampleProfile(points, spacing, elevationAt) {
+    const legs = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      const plane = new geodesy.LocalTangentPlane(points[i - 1].lon, points[i - 1].lat);
+      const enu = plane.forward(points[i].lon, points[i].lat, 0);
+      const length = Math.hypot(enu.east, enu.north);
+      legs.push({ plane, east: enu.east, north: enu.north, length });
+      total += length;
+    }
+
+    const step = Math.max(spacing, total / MAX_SAMPLES);
+    const samples = [];
+    const addSample = (lon, lat, distance) => {
+      samples.push({ lon, lat, distance, elevation: elevationAt(lon, lat) });
+    };
+
+    let start = 0;
+    addSample(points[0].lon, points[0].lat, 0);
+    legs.forEach((leg, i) => {
+      const count = Math.max(1, Math.ceil(leg.length / step));
+      for (let j = 1; j < count; j++) {
+        const t = j / count;
+        const { lon, lat } = leg.plane.inverse(leg.east * t, leg.north * t);
+        addSample(lon, lat, start + leg.length * t);
+      }
+      start += leg.length;
+      addSample(points[i + 1].lon, points[i + 1].lat, start);
+    });
+
+    return samples;
+  }
+
+  /**
+   * Length, total ascent and descent (meters) and steepest grade (rise
+   * over run) of a sampled profile, skipping steps with missing data
+   */
+  function summariseProfile(samples) {
+    let ascent = 0;
+    let descent = 0;
+    let maxGrade = 0;
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      if (a.elevation === null || b.elevation === null) {
+        continue;
+      }
+
+      const rise = b.elevation - a.elevation;
+      const run = b.distance - a.distance;
+      if (rise > 0) {
+        ascent += rise;
+      } else {
+        descent -= rise;
+      }
+      if (run > 0) {
+        maxGrade = Math.max(maxGrade, Math.abs(rise) / run);
+      }
+    }
+
+    return {
+      length: samples.length ? samples[samples.length - 1].distance : 0,
+      ascent: ascent,
+      descent: descent,
+      maxGrade: maxGrade
+    };
+  }
+
+  function formatDistance(meters) {
+    return meters < 1000 ? `${meters.toFixed(0)} m` : `${(meters / 1000).toFixed(2)} km`;
+  }
+
+  /**
+   * ElevationProfileTool - Draw a path and chart the ground along it
+   *
+   * Adds a "Profile" GUI folder. Runs as a game entity so it can resample
+   * while tiles load and follow the world when the flat terrain recenters.
+   */
+  class ElevationProfileTool {
+    constructor(params) {
+      this._params = params;
+      this._terrain = params.terrain;
+      this._points = [];
+      this._samples = [];
+      this._hoverIndex = -1;
+      this._resampleTimer = 0;
+      this._center = null;
+
+      this._panel = document.getElementById('profile');
+      this._stats = document.getElementById('profile-stats');
+      this._canvas = document.getElementById('profile-chart');
+      this._canvas.addEventListener('mousemove', (e) => this._onChartHover(e));
+      this._canvas.addEventListener('mouseleave', () => this._setHover(-1));
+
+      this._initPathObjects();
+      this._initGui(params);
+    }
+
+    _initGui(params) {
+      params.guiParams.profile = {
+        spacing: 10,
+        drawPath: () => this._drawPath(),
+        clearPath: () => this._clearPath()
+      };
+
+      const folder = params.gui.addFolder('Profile');
+      folder.add(params.guiParams.profile, 'drawPath').name('Draw Path (click, double click ends)');
+      folder.add(params.guiParams.profile, 'clearPath').name('Clear Path');
+      folder.add(params.guiParams.profile, 'spacing', 1, 500).name('Sample Spacing (m)').onChange(() => {
+        this._resample();
+      });
+    }
+
+    // The path, its clicked points and the hover marker, drawn over the
+    // terrain in world space
+    _initPathObjects() {
+      const overlay = {
+        depthTest: false,
+        depthWrite: false,
+        transparent: true
+      };
+
+      this._line = new THREE.Line(
+          new THREE.BufferGeometry(),
+          new THREE.LineBasicMaterial(Object.assign({ color: PATH_COLOUR }, overlay)));
+      this._vertices = new THREE.Points(
+          new THREE.BufferGeometry(),
+          new THREE.PointsMaterial(Object.assign({ color: PATH_COLOUR, size: 7, sizeAttenuation: false }, overlay)));
+      this._marker = new THREE.Points(
+          new THREE.BufferGeometry(),
+          new THREE.PointsMaterial(Object.assign({ color: MARKER_COLOUR, size: 11, sizeAttenuation: false }, overlay)));
+
+      for (const object of [this._line, this._vertices, this._marker]) {
+        object.renderOrder = 1000;
+        object.frustumCulled = false;
+        object.visible = false;
+        this._params.scene.add(object);
+      }
+    }
+
+    _drawPath() {
+      this._clearPath();
+      this._params.picker.start(
+          (hit) => this._addPoint(hit.lon, hit.lat),
+          () => this._redraw());
+    }
+
+    _clearPath() {
+      this._points = [];
+      this._samples = [];
+      this._hoverIndex = -1;
+      this._redraw();
+    }
+
+    _addPoint(lon, lat) {
+      const last = this._points[this._points.length - 1];
+      if (last && Math.abs(last.lon - lon) < DUPLICATE_POINT && Math.abs(last.lat - lat) < DUPLICATE_POINT) {
+        return;
+      }
+      this._points.push({ lon, lat });
+      this._resample();
+    }
+
+    _resample() {
+      this._resampleTimer = 0;
+      this._samples = this._points.length >= 2 ?
+          sampleProfile(this._points, this._params.guiParams.profile.spacing,
+              (lon, lat) => this._terrain.getElevationAtLonLat(lon, lat)) : [];
+      this._hoverIndex = Math.min(this._hoverIndex, this._samples.length - 1);
+      this._redraw();
+    }
+
+    _redraw() {
+      this._updatePathObjects();
+      this._updatePanel();
+    }
+
+    // World position of a lon/lat on the ground, lifted clear of it a little
+    _toWorld(lon, lat, target) {
+      const { x, z } = this._terrain.lonLatToWorld(lon, lat);
+      const height = this._terrain.getHeightAtLonLat(lon, lat);
+      const y = height === null || Number.isNaN(height) ? 0 : height;
+      return target.set(x, y + 2, z);
+    }
+
+    _updatePathObjects() {
+      this._center = this._terrain.center;
+
+      const setPositions = (object, points) => {
+        const positions = new Float32Array(points.length * 3);
+        const p = new THREE.Vector3();
+        points.forEach((point, i) => {
+          this._toWorld(point.lon, point.lat, p).toArray(positions, i * 3);
+        });
+        object.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        object.visible = points.length > 0;
+      };
+
+      setPositions(this._line, this._samples);
+      setPositions(this._vertices, this._points);
+      this._updateMarker();
+    }
+
+    _updateMarker() {
+      const sample = this._samples[this._hoverIndex];
+      this._marker.visible = !!sample;
+      if (sample) {
+        const position = this._toWorld(sample.lon, sample.lat, new THREE.Vector3());
+        this._marker.geometry.setAttribute('position', new THREE.Float32BufferAttribute(position.toArray(), 3));
+      }
+    }
+
+    _updatePanel() {
+      if (this._samples.length < 2) {
+        this._panel.style.display = 'none';
+        return;
+      }
+      this._panel.style.display = 'block';
+
+      const summary = summariseProfile(this._samples);
+      this._stats.textContent =
+          `Length ${formatDistance(summary.length)}` +
+          `  Ascent ${summary.ascent.toFixed(0)} m` +
+          `  Descent ${summary.descent.toFixed(0)} m` +
+          `  Max grade ${(summary.maxGrade * 100).toFixed(1)}%`;
+
+      this._drawChart();
+    }
+
+    _drawChart() {
+      const canvas = this._canvas;
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      if (canvas.width !== width * ratio || canvas.height !== height * ratio) {
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+      }
+
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      const samples = this._samples;
+      const valid = samples.filter((s) => s.elevation !== null);
+      const length = samples[samples.length - 1].distance;
+      if (!valid.length || length <= 0) {
+        ctx.fillStyle = '#aaa';
+        ctx.font = '12px monospace';
+        ctx.fillText('Waiting for elevation tiles...', CHART_PADDING.left, height / 2);
+        return;
+      }
+
+      let min = Math.min(...valid.map((s) => s.elevation));
+      let max = Math.max(...valid.map((s) => s.elevation));
+      const margin = Math.max((max - min) * 0.05, 1);
+      min -= margin;
+      max += margin;
+
+      const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+      const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+      const toX = (distance) => CHART_PADDING.left + distance / length * plotWidth;
+      const toY = (elevation) => CHART_PADDING.top + (max - elevation) / (max - min) * plotHeight;
+      const baseY = CHART_PADDING.top + plotHeight;
+
+      this._chart = { toX, toY, plotWidth, length };
+
+      // Filled area and outline, broken wherever there's no data
+      ctx.lineWidth = 1.5;
+      ctx.strokeStyle = '#ffcc00';
+      ctx.fillStyle = 'rgba(255, 204, 0, 0.25)';
+      let run = [];
+      const flush = () => {
+        if (run.length > 1) {
+          ctx.beginPath();
+          ctx.moveTo(toX(run[0].distance), baseY);
+          run.forEach((s) => ctx.lineTo(toX(s.distance), toY(s.elevation)));
+          ctx.lineTo(toX(run[run.length - 1].distance), baseY);
+          ctx.closePath();
+          ctx.fill();
+
+          ctx.beginPath();
+          run.forEach((s, i) => (i ? ctx.lineTo : ctx.moveTo).call(ctx, toX(s.distance), toY(s.elevation)));
+          ctx.stroke();
+        }
+        run = [];
+      };
+      for (const s of samples) {
+        if (s.elevation === null) {
+          flush();
+        } else {
+          run.push(s);
+        }
+      }
+      flush();
+
+      // Axes
+      ctx.strokeStyle = '#666';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+      ctx.lineTo(CHART_PADDING.left, baseY);
+      ctx.lineTo(width - CHART_PADDING.right, baseY);
+      ctx.stroke();
+
+      ctx.fillStyle = '#ccc';
+      ctx.font = '11px monospace';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`${max.toFixed(0)} m`, CHART_PADDING.left - 4, CHART_PADDING.top);
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(`${min.toFixed(0)} m`, CHART_PADDING.left - 4, baseY);
+      ctx.textBaseline = 'top';
+      ctx.textAlign = 'left';
+      ctx.fillText('0', CHART_PADDING.left, baseY + 4);
+      ctx.textAlign = 'right';
+      ctx.fillText(formatDistance(length), width - CHART_PADDING.right, baseY + 4);
+
+      this._drawHover(ctx, baseY);
+    }
+
+    // Cursor line and readout for the hovered sample
+    _drawHover(ctx, baseY) {
+      const sample = this._samples[this._hoverIndex];
+      if (!sample) {
+        return;
+      }
+
+      const { toX, toY } = this._chart;
+      const x = toX(sample.distance);
+      ctx.strokeStyle = '#ff3030';
+      ctx.beginPath();
+      ctx.moveTo(x, CHART_PADDING.top);
+      ctx.lineTo(x, baseY);
+      ctx.stroke();
+
+      let label = formatDistance(sample.distance);
+      if (sample.elevation !== null) {
+        ctx.fillStyle = '#ff3030';
+        ctx.beginPath();
+        ctx.arc(x, toY(sample.elevation), 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        const grade = this._gradeAt(this._hoverIndex);
+        label += `  ${sample.elevation.toFixed(0)} m`;
+        if (grade !== null) {
+          label += `  ${(grade * 100).toFixed(1)}%`;
+        }
+      }
+
+      ctx.fillStyle = '#fff';
+      ctx.font = '11px monospace';
+      ctx.textBaseline = 'top';
+      ctx.textAlign = x > CHART_PADDING.left + this._chart.plotWidth / 2 ? 'right' : 'left';
+      ctx.fillText(label, x + (ctx.textAlign === 'right' ? -6 : 6), CHART_PADDING.top);
+    }
+
+    // Signed grade across the samples either side of one, or null
+    _gradeAt(index) {
+      const a = this._samples[Math.max(0, index - 1)];
+      const b = this._samples[Math.min(this._samples.length - 1, index + 1)];
+      if (a.elevation === null || b.elevation === null || b.distance <= a.distance) {
+        return null;
+      }
+      return (b.elevation - a.elevation) / (b.distance - a.distance);
+    }
+
+    _onChartHover(e) {
+      if (!this._chart || this._samples.length < 2) {
+        return;
+      }
+
+      const rect = this._canvas.getBoundingClientRect();
+      const t = (e.clientX - rect.left - CHART_PADDING.left) / this._chart.plotWidth;
+      const distance = Math.max(0, Math.min(1, t)) * this._chart.length;
+
+      // Nearest sample by distance along the path
+      let lo = 0;
+      let hi = this._samples.length - 1;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (this._samples[mid].distance < distance) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      const nearest = distance - this._samples[lo].distance < this._samples[hi].distance - distance ? lo : hi;
+      this._setHover(nearest);
+    }
+
+    _setHover(index) {
+      if (index === this._hoverIndex) {
+        return;
+      }
+      this._hoverIndex = index;
+      this._updateMarker();
+      if (this._samples.length >= 2) {
+        this._drawChart();
+      }
+    }
+
+    Update(timeInSeconds) {
+      if (this._points.length < 2) {
+        return;
+      }
+
+      // World positions go stale when the terrain recenters
+      const center = this._terrain.center;
+      if (center.lon !== this._center.lon || center.lat !== this._center.lat) {
+        this._updatePathObjects();
+      }
+
+      // Pick up tiles that have loaded in since the last pass
+      this._resampleTimer += timeInSeconds;
+      if (this._resampleTimer >= RESAMPLE_INTERVAL) {
+        this._resample();
+      }
+    }
+  }
+
+  return {
+    sampleProfile: sampleProfile,
+    summariseProfile: summariseProfile,
+    ElevationProfileTool: ElevationProfileTool
+  };
+})();
@@ -3,6 +3,8 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.mod
 import {noise} from './noise.js';
 import {texture_splatter} from './texture-splatter.js' ;
 import {math} from './math.js';
+import {mapbox_terrain} from './mapbox-terrain.js';
+import {terrain_provider} from './terrain-provider.js';
 
 
 const _D = new THREE.Vector3();
@@ -39,6 +41,21 @@ class _TerrainBuilderThreadedWorker {
             params.heightGeneratorsParams.min, params.heightGeneratorsParams.max)
     ];
 
+    // Globe mode: real elevation from the tiles the main thread loaded
+    if (params.heightSource == 'tiles') {
+      const provider = new terrain_provider.TerrainProvider({
+          zoom: params.tileZoom,
+          maxZoom: params.tileZoom,
+          cacheSize: params.tiles.length + 1,
+      });
+      for (let t of params.tiles) {
+        provider.cacheTile(t);
+      }
+      this.params_.heightGenerators = [
+          new mapbox_terrain.MapboxHeightGenerator(provider, {sphere: true})
+      ];
+    }
+
     this.params_.biomeGenerator = new noise.Noise(params.biomesParams);
     this.params_.colourNoise = new noise.Noise(params.colourNoiseParams);
     this.params_.colourGenerator = new texture_splatter.TextureSplatter(
@@ -52,6 +69,17 @@ class _TerrainBuilderThreadedWorker {
     return this.params_.heightGenerators[0].Get(v.x, v.y, v.z)[0];
   }
 
+  _GenerateColour(v) {
+    const generator = this.params_.heightGenerators[0];
+    if (generator.GetColour) {
+      const colour = generator.GetColour(v.x, v.y, v.z);
+      if (colour) {
+        return colour;
+      }
+    }
+    return [1.0, 1.0, 1.0];
+  }
+
   GenerateNormals_(positions, indices) {
     const normals = new Array(positions.length).fill(0.0);
     for (let i = 0, n = indices.length; i < n; i+= 3) {
@@ -420,6 +448,38 @@ class _TerrainBuilderThreadedWorker {
     }
   }
 
+  // Positions on the parent chunk's mesh, which has every other row and
+  // column. Odd rows and columns fall on the parent's edges and diagonals,
+  // so they're averaged from their even neighbours; the skirt ring copies
+  // its proxy, as in FixEdgeSkirt_.
+  GenerateParentPositions_(positions) {
+    const resolution = this.params_.resolution + 2;
+    const effectiveResolution = resolution - 2;
+    const parentPositions = new Float32Array(positions.length);
+
+    const _Index = (x, y) => (x + 1) * (resolution + 1) + (y + 1);
+
+    for (let x = -1; x <= effectiveResolution + 1; x++) {
+      for (let y = -1; y <= effectiveResolution + 1; y++) {
+        const xp = Math.max(0, Math.min(effectiveResolution, x));
+        const yp = Math.max(0, Math.min(effectiveResolution, y));
+        const oddX = xp % 2 && xp < effectiveResolution ? 1 : 0;
+        const oddY = yp % 2 && yp < effectiveResolution ? 1 : 0;
+
+        // Matches the diagonal GenerateIndices_ splits each quad along
+        const a = _Index(xp - oddX, yp - oddY) * 3;
+        const b = _Index(xp + oddX, yp + oddY) * 3;
+        const i = _Index(x, y) * 3;
+
+        for (let j = 0; j < 3; j++) {
+          parentPositions[i + j] = (positions[a + j] + positions[b + j]) * 0.5;
+        }
+      }
+    }
+
+    return parentPositions;
+  }
+
   NormalizeNormals_(normals) {
     for (let i = 0, n = normals.length; i < n; i+=3) {
       _N.fromArray(normals, i);
@@ -507,6 +567,7 @@ class _TerrainBuilderThreadedWorker {
 
   Rebuild() {
     const positions = [];
+    const colours = [];
     const up = [];
     const coords = [];
 
@@ -556,11 +617,11 @@ class _TerrainBuilderThreadedWorker {
         _S.set(_W.x, _W.y, height);
 
         up.push(_D.x, _D.y, _D.z);
+
+        colours.push(...this._GenerateColour(_W));
       }
     }
 
-    const colours = new Array(positions.length).fill(1.0);
-
     // Generate indices
     const indices = this.GenerateIndices_();
     const normals = this.GenerateNormals_(positions, indices);
@@ -571,10 +632,14 @@ class _TerrainBuilderThreadedWorker {
     this.FixEdgeSkirt_(positions, up, normals);
     this.NormalizeNormals_(normals);
 
+    const parentPositions = this.GenerateParentPositions_(positions);
+
     const bytesInFloat32 = 4;
     const bytesInInt32 = 4;
     const positionsArray = new Float32Array(
         new SharedArrayBuffer(bytesInFloat32 * positions.length));
+    const parentPositionsArray = new Float32Array(
+        new SharedArrayBuffer(bytesInFloat32 * parentPositions.length));
     const coloursArray = new Float32Array(
         new SharedArrayBuffer(bytesInFloat32 * colours.length));
     const normalsArray = new Float32Array(
@@ -585,6 +650,7 @@ class _TerrainBuilderThreadedWorker {
         new SharedArrayBuffer(bytesInInt32 * indices.length));
 
     positionsArray.set(positions, 0);
+    parentPositionsArray.set(parentPositions, 0);
     coloursArray.set(colours, 0);
     normalsArray.set(normals, 0);
     coordsArray.set(coords, 0);
@@ -592,6 +658,7 @@ class _TerrainBuilderThreadedWorker {
 
     return {
       positions: positionsArray,
+      parentPositions: parentPositionsArray,
       colours: coloursArray,
       normals: normalsArray,
       coords: coordsArray,
@@ -615,7 +682,9 @@ class _TerrainBuilderThreadedWorker {
     const half = width / 2;
     const effectiveResolution = resolution - 2;
 
-    colours.fill(1.0);
+    if (this.params_.heightSource != 'tiles') {
+      colours.fill(1.0);
+    }
 
     this.RebuildEdgePositions_(positions);
     this.RebuildEdgeNormals_(normals);
@@ -623,6 +692,8 @@ class _TerrainBuilderThreadedWorker {
     this.FixEdgeSkirt_(positions, up, normals);
     this.NormalizeNormals_(normals);
 
+    mesh.parentPositions.set(this.GenerateParentPositions_(positions), 0);
+
     return mesh;
   }
 }
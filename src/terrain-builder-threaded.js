@@ -108,7 +108,24 @@ export const terrain_builder_threaded = (function() {
 
       c.Hide();
 
-      const threadedParams = {
+      // Chunks draped with real elevation wait for their tiles to arrive
+      // before they can be built, unless they're retired first
+      if (this._IsPending(params)) {
+        params.tiles.then((tiles) => {
+          params.tiles = tiles;
+          if (!params.tileLoads.signal.aborted) {
+            this._EnqueueBuild(c, params);
+          }
+        });
+      } else {
+        this._EnqueueBuild(c, params);
+      }
+
+      return c;    
+    }
+
+    _ThreadedParams(params) {
+      return {
         noiseParams: params.noiseParams,
         colourNoiseParams: params.colourNoiseParams,
         biomesParams: params.biomesParams,
@@ -121,30 +138,44 @@ export const terrain_builder_threaded = (function() {
         radius: params.radius,
         resolution: params.resolution,
         worldMatrix: params.transform,
+        heightSource: params.heightSource,
+        tileZoom: params.tileZoom,
+        tiles: params.tiles,
       };
+    }
 
+    _EnqueueBuild(c, params) {
       const msg = {
         subject: 'build_chunk',
-        params: threadedParams,
+        params: this._ThreadedParams(params),
       };
 
       this.workerPool_.Enqueue(msg, (m) => {
         this._OnResult(c, m);
       });
-
-      return c;    
     }
 
     RetireChunks(chunks) {
+      for (let c of chunks) {
+        this._AbortTileLoads(c.chunk);
+      }
       this.old_.push(...chunks);
     }
 
+    // Stop fetching tiles for a chunk that's leaving the view
+    _AbortTileLoads(chunk) {
+      if (chunk.params_.tileLoads) {
+        chunk.params_.tileLoads.abort();
+      }
+    }
+
     _RecycleChunks(chunks) {
       for (let c of chunks) {
         if (!(c.chunk.params_.width in this.pool_)) {
           this.pool_[c.chunk.params_.width] = [];
         }
 
+        this._AbortTileLoads(c.chunk);
         c.chunk.Destroy();
       }
     }
@@ -153,9 +184,19 @@ export const terrain_builder_threaded = (function() {
       return this.workerPool_.Busy;
     }
 
+    // Chunks still waiting for their tiles are built once they arrive,
+    // from whatever their params say by then, so rebuilds pass them over
+    _IsPending(params) {
+      return params.tiles instanceof Promise;
+    }
+
     Rebuild(chunks) {
       for (let k in chunks) {
-        this.workerPool_.Enqueue(chunks[k].chunk.params_);
+        const chunk = chunks[k].chunk;
+        if (this._IsPending(chunk.params_)) {
+          continue;
+        }
+        this._EnqueueBuild(chunk, chunk.params_);
       }
     }
 
@@ -163,25 +204,13 @@ export const terrain_builder_threaded = (function() {
       for (let k in chunks) {
         const chunk = chunks[k];
         const params = chunk.chunk.params_;
-
-        const threadedParams = {
-          noiseParams: params.noiseParams,
-          colourNoiseParams: params.colourNoiseParams,
-          biomesParams: params.biomesParams,
-          colourGeneratorParams: params.colourGeneratorParams,
-          heightGeneratorsParams: params.heightGeneratorsParams,
-          width: params.width,
-          neighbours: params.neighbours,
-          offset: params.offset.toArray(),
-          origin: params.origin.toArray(),
-          radius: params.radius,
-          resolution: params.resolution,
-          worldMatrix: params.transform,
-        };
+        if (this._IsPending(params)) {
+          continue;
+        }
 
         const msg = {
           subject: 'rebuild_chunk',
-          params: threadedParams,
+          params: this._ThreadedParams(params),
           mesh: chunk.chunk.rebuildData_,
         };
   
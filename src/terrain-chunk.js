@@ -28,6 +28,14 @@ export const terrain_chunk = (function() {
       this.mesh_.receiveShadow = true;
       this.mesh_.frustumCulled = true;
       this.params_.group.add(this.mesh_);
+
+      // The material is shared between chunks, so each one pushes its own
+      // morph range just before it's drawn
+      this.morphRange_ = new THREE.Vector2();
+      this.mesh_.onBeforeRender = (renderer, scene, camera, geometry, material) => {
+        material.uniforms.morphRange.value.copy(this.morphRange_);
+        material.uniformsNeedUpdate = true;
+      };
       this.Reinit(params);
     }
 
@@ -41,6 +49,10 @@ export const terrain_chunk = (function() {
       this.mesh_.position.set(0, 0, 0);
     }
 
+    SetMorphRange(start, end) {
+      this.morphRange_.set(start, end);
+    }
+
     SetWireframe(b) {
       this.mesh_.material.wireframe = b;
     }
@@ -48,6 +60,8 @@ export const terrain_chunk = (function() {
     RebuildMeshFromData(data) {
       this.geometry_.setAttribute(
           'position', new THREE.Float32BufferAttribute(data.positions, 3));
+      this.geometry_.setAttribute(
+          'parentPosition', new THREE.Float32BufferAttribute(data.parentPositions, 3));
       this.geometry_.setAttribute(
           'color', new THREE.Float32BufferAttribute(data.colours, 3));
       this.geometry_.setAttribute(
@@ -58,6 +72,7 @@ export const terrain_chunk = (function() {
           new THREE.BufferAttribute(data.indices, 1));
       this.rebuildData_ = data;
       this.geometry_.attributes.position.needsUpdate = true;
+      this.geometry_.attributes.parentPosition.needsUpdate = true;
       this.geometry_.attributes.normal.needsUpdate = true;
       this.geometry_.attributes.color.needsUpdate = true;
       this.geometry_.attributes.coords.needsUpdate = true;
@@ -65,9 +80,11 @@ export const terrain_chunk = (function() {
 
     QuickRebuildMeshFromData(data) {
       this.geometry_.attributes.position.array.set(data.positions, 0)
+      this.geometry_.attributes.parentPosition.array.set(data.parentPositions, 0)
       this.geometry_.attributes.normal.array.set(data.normals, 0)
       this.geometry_.attributes.color.array.set(data.colours, 0)
       this.geometry_.attributes.position.needsUpdate = true;
+      this.geometry_.attributes.parentPosition.needsUpdate = true;
       this.geometry_.attributes.normal.needsUpdate = true;
       this.geometry_.attributes.color.needsUpdate = true;
     }
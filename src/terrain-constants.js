@@ -6,6 +6,10 @@ export const terrain_constants = (function() {
     QT_MIN_CELL_RESOLUTION: 48,
     PLANET_RADIUS: 400000.0,
 
+    // Globe mode, with real elevation draped on an Earth-sized sphere
+    EARTH_RADIUS: 6378137.0,
+    EARTH_QT_MIN_CELL_SIZE: 250,
+
     NOISE_HEIGHT: 20000.0,
     NOISE_SCALE: 18000.0,
   }
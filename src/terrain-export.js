@@ -0,0 +1,496 @@
+/**
+ * Export of terrain regions as GLB, OBJ or STL
+ *
+ * A region is a lon/lat box at one zoom. Every tile it touches is built by
+ * the flat terrain worker, and their grids are joined into one height field
+ * cropped to the box. Meshes are in real meters: east and north on the
+ * tangent plane at the box's centre, up above sea level times the vertical
+ * exaggeration. GLB and OBJ are Y-up like most viewers expect, STL Z-up
+ * like slicers expect.
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
+import {GLTFExporter} from 'https://cdn.jsdelivr.net/npm/three@0.125/examples/jsm/exporters/GLTFExporter.js';
+import {OBJExporter} from 'https://cdn.jsdelivr.net/npm/three@0.125/examples/jsm/exporters/OBJExporter.js';
+import {STLExporter} from 'https://cdn.jsdelivr.net/npm/three@0.125/examples/jsm/exporters/STLExporter.js';
+
+import {terrain_provider} from './terrain-provider.js';
+
+export const terrain_export = (function() {
+
+  const FORMATS = ['GLB', 'OBJ', 'STL'];
+
+  // Every tile is a full worker build, and the grid grows with their number
+  const MAX_TILES = 64;
+
+  // Longest side of the embedded imagery most viewers will still load
+  const MAX_TEXTURE_SIZE = 8192;
+
+  // Fractional tile coordinates of a lon/lat
+  function getTileCoords(lon, lat, zoom) {
+    const coords = terrain_provider.getFractionalTileCoords(lon, lat, zoom);
+    return { x: coords.tileX + coords.fracX, y: coords.tileY + coords.fracY };
+  }
+
+  /**
+   * Tiles at zoom covering a {west, south, east, north} box, as
+   * {minX, maxX, minY, maxY}. Throws for empty boxes and ones needing
+   * more than MAX_TILES tiles.
+   */
+  function getRegionTiles(bbox, zoom) {
+    if (!(bbox.west < bbox.east && bbox.south < bbox.north)) {
+      throw new Error('Export region is empty');
+    }
+
+    const nw = getTileCoords(bbox.west, bbox.north, zoom);
+    const se = getTileCoords(bbox.east, bbox.south, zoom);
+    const range = {
+      minX: Math.floor(nw.x),
+      maxX: Math.ceil(se.x) - 1,
+      minY: Math.floor(nw.y),
+      maxY: Math.ceil(se.y) - 1
+    };
+
+    const count = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+    if (count > MAX_TILES) {
+      throw new Error(`Export region needs ${count} tiles at zoom ${zoom}, at most ${MAX_TILES} are allowed`);
+    }
+    return range;
+  }
+
+  /**
+   * Build the height field of a region
+   *
+   * params.buildTile(z, x, y, origin) must resolve with the flat terrain
+   * worker's build of a cached tile, in real meters on the tangent plane at
+   * origin {lon, lat}. Imagery comes from params.imageryProvider if given;
+   * the field is left without any if it fails to load.
+   *
+   * Returns {cols, rows, positions, colours, holes, imagery, origin}. Row 0
+   * is the north edge and column 0 the west edge; positions are east,
+   * north, up per vertex.
+   */
+  async function buildRegion(params) {
+    const { bbox, zoom, resolution, terrainProvider, imageryProvider } = params;
+    const range = getRegionTiles(bbox, zoom);
+
+    const tiles = [];
+    for (let y = range.minY; y <= range.maxY; y++) {
+      for (let x = range.minX; x <= range.maxX; x++) {
+        tiles.push({ x, y });
+      }
+    }
+
+    // Every tile is loaded before any is built, so that each gets its
+    // neighbours' edges for its apron
+    await Promise.all(tiles.map(({ x, y }) => terrainProvider.loadTile(zoom, x, y)));
+
+    const origin = { lon: (bbox.west + bbox.east) / 2, lat: (bbox.south + bbox.north) / 2 };
+    const builds = await Promise.all(tiles.map(({ x, y }) => params.buildTile(zoom, x, y, origin)));
+
+    // Crop the joined grids to the box, rounding outwards to whole cells
+    const nw = getTileCoords(bbox.west, bbox.north, zoom);
+    const se = getTileCoords(bbox.east, bbox.south, zoom);
+    const crop = {
+      minCol: Math.floor((nw.x - range.minX) * resolution),
+      maxCol: Math.ceil((se.x - range.minX) * resolution),
+      minRow: Math.floor((nw.y - range.minY) * resolution),
+      maxRow: Math.ceil((se.y - range.minY) * resolution)
+    };
+
+    const cols = crop.maxCol - crop.minCol + 1;
+    const rows = crop.maxRow - crop.minRow + 1;
+    const positions = new Float32Array(cols * rows * 3);
+    const colours = new Float32Array(cols * rows * 3);
+    const holes = new Uint8Array(cols * rows);
+
+    const gridSize = resolution + 1;
+    tiles.forEach(({ x, y }, i) => {
+      const build = builds[i];
+      for (let gy = 0; gy < gridSize; gy++) {
+        for (let gx = 0; gx < gridSize; gx++) {
+          // The worker's grid runs east to west and south to north
+          const col = (x - range.minX + 1) * resolution - gx - crop.minCol;
+          const row = (y - range.minY + 1) * resolution - gy - crop.minRow;
+          if (col < 0 || col >= cols || row < 0 || row >= rows) {
+            continue;
+          }
+
+          const src = gy * gridSize + gx;
+          const dst = row * cols + col;
+
+          // World X is west, Y up and Z north
+          positions[dst * 3] = -build.positions[src * 3];
+          positions[dst * 3 + 1] = build.positions[src * 3 + 2];
+          positions[dst * 3 + 2] = build.positions[src * 3 + 1];
+          colours.set(build.colours.subarray(src * 3, src * 3 + 3), dst * 3);
+          holes[dst] = build.holes[src];
+        }
+      }
+    });
+
+    let imagery = null;
+    if (imageryProvider) {
+      try {
+        imagery = await loadRegionImagery(imageryProvider, zoom, range, crop, resolution, tiles);
+      } catch (err) {
+        console.warn('Exporting without imagery:', err);
+      }
+    }
+
+    return { cols, rows, positions, colours, holes, imagery, origin };
+  }
+
+  // Canvas of the imagery under the cropped grid, scaled down to fit
+  // MAX_TEXTURE_SIZE
+  async function loadRegionImagery(imageryProvider, zoom, range, crop, resolution, tiles) {
+    const images = await Promise.all(tiles.map(({ x, y }) => imageryProvider.loadImagery(zoom, x, y)));
+
+    const tilePixels = images[0].width;
+    const pixelsPerCell = tilePixels / resolution;
+    const width = (crop.maxCol - crop.minCol) * pixelsPerCell;
+    const height = (crop.maxRow - crop.minRow) * pixelsPerCell;
+    const scale = Math.min(1, MAX_TEXTURE_SIZE / width, MAX_TEXTURE_SIZE / height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const ctx = canvas.getContext('2d');
+
+    const tileCanvas = document.createElement('canvas');
+    tileCanvas.width = tilePixels;
+    tileCanvas.height = tilePixels;
+    const tileCtx = tileCanvas.getContext('2d');
+    const pixels = tileCtx.createImageData(tilePixels, tilePixels);
+
+    tiles.forEach(({ x, y }, i) => {
+      const colors = images[i].colors;
+      for (let p = 0; p < tilePixels * tilePixels; p++) {
+        pixels.data[p * 4] = colors[p * 3];
+        pixels.data[p * 4 + 1] = colors[p * 3 + 1];
+        pixels.data[p * 4 + 2] = colors[p * 3 + 2];
+        pixels.data[p * 4 + 3] = 255;
+      }
+      tileCtx.putImageData(pixels, 0, 0);
+
+      const left = ((x - range.minX) * resolution - crop.minCol) * pixelsPerCell;
+      const top = ((y - range.minY) * resolution - crop.minRow) * pixelsPerCell;
+      ctx.drawImage(tileCanvas, left * scale, top * scale, tilePixels * scale, tilePixels * scale);
+    });
+
+    return canvas;
+  }
+
+  // Add the triangles of every grid cell whose corners pass keep(index),
+  // wound counter-clockwise seen from above
+  function addSurfaceIndices(indices, cols, rows, keep) {
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < cols - 1; col++) {
+        const nw = row * cols + col;
+        const ne = nw + 1;
+        const sw = nw + cols;
+        const se = sw + 1;
+
+        if (keep(nw) && keep(sw) && keep(se)) {
+          indices.push(nw, sw, se);
+        }
+        if (keep(nw) && keep(se) && keep(ne)) {
+          indices.push(nw, se, ne);
+        }
+      }
+    }
+  }
+
+  /**
+   * Open surface of a field, Z-up, leaving out cells with a nodata corner.
+   * Vertex colours are added unless the field has imagery, which viewers
+   * would otherwise tint with them.
+   */
+  function createSurfaceGeometry(field, exaggeration) {
+    const { cols, rows, holes } = field;
+    const positions = new Float32Array(field.positions);
+    const uvs = new Float32Array(cols * rows * 2);
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const i = row * cols + col;
+        positions[i * 3 + 2] *= exaggeration;
+        uvs[i * 2] = col / (cols - 1);
+        uvs[i * 2 + 1] = 1 - row / (rows - 1);
+      }
+    }
+
+    const indices = [];
+    addSurfaceIndices(indices, cols, rows, (i) => !holes[i]);
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    if (!field.imagery) {
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(field.colours, 3));
+    }
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  // Grid indices around the edge of a field, counter-clockwise seen from
+  // above starting at the south-west corner
+  function getPerimeter(cols, rows) {
+    const perimeter = [];
+    for (let col = 0; col < cols - 1; col++) {
+      perimeter.push((rows - 1) * cols + col);
+    }
+    for (let row = rows - 1; row > 0; row--) {
+      perimeter.push(row * cols + cols - 1);
+    }
+    for (let col = cols - 1; col > 0; col--) {
+      perimeter.push(col);
+    }
+    for (let row = 0; row < rows - 1; row++) {
+      perimeter.push(row * cols);
+    }
+    return perimeter;
+  }
+
+  /**
+   * Closed solid of a field, Z-up: the surface standing on a plinth whose
+   * flat base lies baseDepth below the lowest point. Nodata drops to the
+   * base so the solid stays watertight.
+   */
+  function createSolidGeometry(field, exaggeration, baseDepth) {
+    const { cols, rows, holes } = field;
+    const perimeter = getPerimeter(cols, rows);
+    const numTop = cols * rows;
+
+    // Top grid, then one base vertex under each perimeter vertex, then the
+    // middle of the base
+    const positions = new Float32Array((numTop + perimeter.length + 1) * 3);
+    positions.set(field.positions);
+
+    let lowest = Infinity;
+    for (let i = 0; i < numTop; i++) {
+      positions[i * 3 + 2] *= exaggeration;
+      if (!holes[i]) {
+        lowest = Math.min(lowest, positions[i * 3 + 2]);
+      }
+    }
+    const base = (lowest === Infinity ? 0 : lowest) - baseDepth;
+    for (let i = 0; i < numTop; i++) {
+      if (holes[i]) {
+        positions[i * 3 + 2] = base;
+      }
+    }
+
+    const middle = numTop + perimeter.length;
+    perimeter.forEach((top, i) => {
+      const dst = (numTop + i) * 3;
+      positions[dst] = positions[top * 3];
+      positions[dst + 1] = positions[top * 3 + 1];
+      positions[dst + 2] = base;
+      positions[middle * 3] += positions[dst] / perimeter.length;
+      positions[middle * 3 + 1] += positions[dst + 1] / perimeter.length;
+    });
+    positions[middle * 3 + 2] = base;
+
+    const indices = [];
+    addSurfaceIndices(indices, cols, rows, () => true);
+
+    for (let i = 0; i < perimeter.length; i++) {
+      const next = (i + 1) % perimeter.length;
+      const a = perimeter[i];
+      const b = perimeter[next];
+      const baseA = numTop + i;
+      const baseB = numTop + next;
+
+      // Wall facing outwards, and the base fanned out from its middle
+      // facing down
+      indices.push(a, baseA, baseB);
+      indices.push(a, baseB, b);
+      indices.push(middle, baseB, baseA);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  /**
+   * Encode a field in one of FORMATS, resolving with a Blob
+   *
+   * options: {format, exaggeration, baseDepth}; baseDepth is only used by
+   * STL, which always gets a plinth so it can be printed.
+   */
+  function exportField(field, options) {
+    const { format, exaggeration } = options;
+
+    if (format === 'STL') {
+      const mesh = new THREE.Mesh(createSolidGeometry(field, exaggeration, options.baseDepth));
+      const data = new STLExporter().parse(mesh, { binary: true });
+      return Promise.resolve(new Blob([data], { type: 'model/stl' }));
+    }
+
+    const geometry = createSurfaceGeometry(field, exaggeration);
+    geometry.rotateX(-Math.PI / 2);
+
+    if (format === 'OBJ') {
+      const data = new OBJExporter().parse(new THREE.Mesh(geometry));
+      return Promise.resolve(new Blob([data], { type: 'model/obj' }));
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+      map: field.imagery ? new THREE.CanvasTexture(field.imagery) : null,
+      vertexColors: !field.imagery,
+      roughness: 1,
+      metalness: 0
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'terrain';
+
+    return new Promise((resolve) => {
+      new GLTFExporter().parse(mesh, (data) => {
+        resolve(new Blob([data], { type: 'model/gltf-binary' }));
+      }, { binary: true });
+    });
+  }
+
+  /**
+   * Save a Blob through the browser's download prompt
+   */
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+
+  /**
+   * RegionSelector - Drag a rectangle over the view to pick a lon/lat box
+   *
+   * After arm(), the next drag draws the #region-selection rectangle rather
+   * than reaching the controls. Its corners are cast onto the terrain with
+   * params.raycast(origin, direction), and params.onSelect gets the box
+   * around those that hit.
+   */
+  class RegionSelector {
+    constructor(params) {
+      this._params = params;
+      this._armed = false;
+      this._start = null;
+      this._swallowClick = false;
+      this._element = document.getElementById('region-selection');
+      this._raycaster = new THREE.Raycaster();
+
+      // Capturing on the window gets in ahead of the controls' listeners
+      window.addEventListener('pointerdown', (e) => this._onPointerDown(e), true);
+      window.addEventListener('pointermove', (e) => this._onPointerMove(e), true);
+      window.addEventListener('pointerup', (e) => this._onPointerUp(e), true);
+      window.addEventListener('click', (e) => this._onClick(e), true);
+    }
+
+    arm() {
+      if (document.pointerLockElement) {
+        document.exitPointerLock();
+      }
+      this._armed = true;
+      document.body.style.cursor = 'crosshair';
+    }
+
+    _onPointerDown(e) {
+      // The GUI stays usable while armed
+      if (!this._armed || e.target.closest('.dg')) {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      this._start = { x: e.clientX, y: e.clientY };
+      this._drawRectangle(e);
+    }
+
+    _onPointerMove(e) {
+      if (!this._start) {
+        return;
+      }
+      e.stopPropagation();
+      this._drawRectangle(e);
+    }
+
+    _onPointerUp(e) {
+      if (!this._start) {
+        return;
+      }
+      e.stopPropagation();
+
+      const start = this._start;
+      this._start = null;
+      this._armed = false;
+      this._swallowClick = true;
+      this._element.style.display = 'none';
+      document.body.style.cursor = '';
+
+      this._select(start, { x: e.clientX, y: e.clientY });
+    }
+
+    _onClick(e) {
+      // The click ending a drag would otherwise lock the pointer
+      if (this._swallowClick) {
+        this._swallowClick = false;
+        e.stopPropagation();
+      }
+    }
+
+    _drawRectangle(e) {
+      const style = this._element.style;
+      style.display = 'block';
+      style.left = `${Math.min(this._start.x, e.clientX)}px`;
+      style.top = `${Math.min(this._start.y, e.clientY)}px`;
+      style.width = `${Math.abs(e.clientX - this._start.x)}px`;
+      style.height = `${Math.abs(e.clientY - this._start.y)}px`;
+    }
+
+    _select(a, b) {
+      const hits = [];
+      for (const x of [a.x, b.x]) {
+        for (const y of [a.y, b.y]) {
+          const ndc = new THREE.Vector2(x / window.innerWidth * 2 - 1, 1 - y / window.innerHeight * 2);
+          this._raycaster.setFromCamera(ndc, this._params.camera);
+          const hit = this._params.raycast(this._raycaster.ray.origin, this._raycaster.ray.direction);
+          if (hit) {
+            hits.push(hit);
+          }
+        }
+      }
+
+      if (hits.length < 2) {
+        console.warn('Region selection missed the terrain');
+        return;
+      }
+
+      const lons = hits.map((hit) => hit.lon);
+      const lats = hits.map((hit) => hit.lat);
+      this._params.onSelect({
+        west: Math.min(...lons),
+        south: Math.min(...lats),
+        east: Math.max(...lons),
+        north: Math.max(...lats)
+      });
+    }
+  }
+
+  return {
+    FORMATS: FORMATS,
+    MAX_TILES: MAX_TILES,
+    getRegionTiles: getRegionTiles,
+    buildRegion: buildRegion,
+    exportField: exportField,
+    download: download,
+    RegionSelector: RegionSelector
+  };
+})();
@@ -0,0 +1,95 @@
+/**
+ * Picking points on the flat terrain with the mouse
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
+
+export const terrain_picker = (function() {
+
+  // Clicks here are the user working the page, not picking
+  const IGNORED_TARGETS = '.dg, .panel';
+
+  /**
+   * TerrainPicker - Turn clicks on the view into points on the terrain
+   *
+   * Between start() and stop(), clicks go to onPick with the terrain's
+   * raycast hit {point, distance, lon, lat} instead of locking the pointer.
+   * A double click, Enter or Escape stops picking and calls onFinish. One
+   * picker is shared by every tool, so starting one tool's picking
+   * finishes another's.
+   */
+  class TerrainPicker {
+    constructor(params) {
+      this._params = params;
+      this._active = null;
+      this._raycaster = new THREE.Raycaster();
+
+      // Capturing on the window gets in ahead of the controls' listeners
+      window.addEventListener('click', (e) => this._onClick(e), true);
+      window.addEventListener('dblclick', (e) => this._onDoubleClick(e), true);
+      window.addEventListener('keydown', (e) => this._onKeyDown(e), true);
+    }
+
+    get active() {
+      return this._active !== null;
+    }
+
+    start(onPick, onFinish = () => {}) {
+      this.stop();
+      if (document.pointerLockElement) {
+        document.exitPointerLock();
+      }
+      this._active = { onPick, onFinish };
+      document.body.style.cursor = 'crosshair';
+    }
+
+    stop() {
+      const active = this._active;
+      if (!active) {
+        return;
+      }
+      this._active = null;
+      document.body.style.cursor = '';
+      active.onFinish();
+    }
+
+    /**
+     * Terrain hit under a point on the screen, or null
+     */
+    pick(clientX, clientY) {
+      const ndc = new THREE.Vector2(clientX / window.innerWidth * 2 - 1, 1 - clientY / window.innerHeight * 2);
+      this._raycaster.setFromCamera(ndc, this._params.camera);
+      return this._params.terrain.raycast(this._raycaster.ray.origin, this._raycaster.ray.direction);
+    }
+
+    _onClick(e) {
+      if (!this._active || e.target.closest(IGNORED_TARGETS)) {
+        return;
+      }
+      e.stopPropagation();
+
+      const hit = this.pick(e.clientX, e.clientY);
+      if (hit) {
+        this._active.onPick(hit);
+      }
+    }
+
+    _onDoubleClick(e) {
+      if (!this._active || e.target.closest(IGNORED_TARGETS)) {
+        return;
+      }
+      e.stopPropagation();
+      this.stop();
+    }
+
+    _onKeyDown(e) {
+      if (this._active && (e.key === 'Enter' || e.key === 'Escape')) {
+        this.stop();
+      }
+    }
+  }
+
+  return {
+    TerrainPicker: TerrainPicker
+  };
+})();
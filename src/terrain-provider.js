@@ -0,0 +1,1052 @@
+/**
+ * Elevation tile providers
+ *
+ * Every provider serves the same contract: loadTile(z, x, y) resolves to
+ * {z, x, y, width, height, heights, colors, bounds} where heights is a
+ * width * height Float32Array in meters (row 0 = north edge), colors is an
+ * optional square RGB Uint8ClampedArray and bounds is the tile extent in
+ * lon/lat. Tiles follow the Web-Mercator XYZ pyramid.
+ *
+ * Imagery comes separately from an XYZImageryProvider, whose tiles carry
+ * colors but no heights.
+ */
+
+import {tile_store} from './tile-store.js';
+
+export const terrain_provider = (function() {
+
+  // Default tile size in pixels
+  const TILE_SIZE = 512;
+
+  // Convert longitude to tile X coordinate
+  function lon2tileX(lon, zoom) {
+    return Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
+  }
+
+  // Convert latitude to tile Y coordinate
+  function lat2tileY(lat, zoom) {
+    return Math.floor(
+      (1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom)
+    );
+  }
+
+  // Convert tile X to longitude
+  function tileX2lon(x, zoom) {
+    return x / Math.pow(2, zoom) * 360 - 180;
+  }
+
+  // Convert tile Y to latitude
+  function tileY2lat(y, zoom) {
+    const n = Math.PI - 2 * Math.PI * y / Math.pow(2, zoom);
+    return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+  }
+
+  // Get the fractional position within a tile for a given lon/lat
+  function getFractionalTileCoords(lon, lat, zoom) {
+    const x = (lon + 180) / 360 * Math.pow(2, zoom);
+    const y = (1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom);
+    return {
+      tileX: Math.floor(x),
+      tileY: Math.floor(y),
+      fracX: x - Math.floor(x),
+      fracY: y - Math.floor(y)
+    };
+  }
+
+  // Get the bounds of a tile in lon/lat
+  function getTileBounds(z, x, y) {
+    return {
+      west: tileX2lon(x, z),
+      east: tileX2lon(x + 1, z),
+      north: tileY2lat(y, z),
+      south: tileY2lat(y + 1, z)
+    };
+  }
+
+  // Mapbox terrain-rgb: height = -10000 + ((R * 256 * 256 + G * 256 + B) * 0.1)
+  function decodeTerrainRGB(r, g, b) {
+    return -10000 + ((r * 256 * 256 + g * 256 + b) * 0.1);
+  }
+
+  // Mapzen/AWS terrarium: height = (R * 256 + G + B / 256) - 32768
+  function decodeTerrarium(r, g, b) {
+    return (r * 256 + g + b / 256) - 32768;
+  }
+
+  const ELEVATION_ENCODINGS = {
+    'terrain-rgb': decodeTerrainRGB,
+    'terrarium': decodeTerrarium
+  };
+
+  // Bilinearly sample a tile's height grid at fractional tile coords [0, 1]
+  function sampleTileHeight(tile, fracX, fracY) {
+    const size = tile.width;
+    const px = fracX * (size - 1);
+    const py = fracY * (size - 1);
+
+    const x0 = Math.floor(px);
+    const y0 = Math.floor(py);
+    const x1 = Math.min(x0 + 1, size - 1);
+    const y1 = Math.min(y0 + 1, size - 1);
+
+    const fx = px - x0;
+    const fy = py - y0;
+
+    const h00 = tile.heights[y0 * size + x0];
+    const h10 = tile.heights[y0 * size + x1];
+    const h01 = tile.heights[y1 * size + x0];
+    const h11 = tile.heights[y1 * size + x1];
+
+    const h0 = h00 * (1 - fx) + h10 * fx;
+    const h1 = h01 * (1 - fx) + h11 * fx;
+
+    return h0 * (1 - fy) + h1 * fy;
+  }
+
+  // Min/max of a tile's heights ignoring nodata, memoised on the tile.
+  // Returns null if the tile is entirely nodata.
+  function getTileHeightRange(tile) {
+    if (tile.heightRange === undefined) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const h of tile.heights) {
+        if (h < min) min = h;
+        if (h > max) max = h;
+      }
+      tile.heightRange = min <= max ? { min, max } : null;
+    }
+    return tile.heightRange;
+  }
+
+  // Bilinearly sample a tile's RGB imagery at fractional tile coords [0, 1],
+  // returning [r, g, b] in [0, 1], or null if the tile has no imagery.
+  // Imagery needn't match the tile's height grid in size.
+  function sampleTileColour(tile, fracX, fracY) {
+    if (!tile.colors) {
+      return null;
+    }
+
+    const size = Math.round(Math.sqrt(tile.colors.length / 3));
+    const px = fracX * (size - 1);
+    const py = fracY * (size - 1);
+
+    const x0 = Math.floor(px);
+    const y0 = Math.floor(py);
+    const x1 = Math.min(x0 + 1, size - 1);
+    const y1 = Math.min(y0 + 1, size - 1);
+
+    const fx = px - x0;
+    const fy = py - y0;
+
+    const colour = [0, 0, 0];
+    for (let c = 0; c < 3; c++) {
+      const c00 = tile.colors[(y0 * size + x0) * 3 + c];
+      const c10 = tile.colors[(y0 * size + x1) * 3 + c];
+      const c01 = tile.colors[(y1 * size + x0) * 3 + c];
+      const c11 = tile.colors[(y1 * size + x1) * 3 + c];
+
+      const c0 = c00 * (1 - fx) + c10 * fx;
+      const c1 = c01 * (1 - fx) + c11 * fx;
+      colour[c] = (c0 * (1 - fy) + c1 * fy) / 255;
+    }
+    return colour;
+  }
+
+  // Tile data cache
+  // Bumped whenever any tile cache gains or loses a tile, so samplers can
+  // tell cheaply when what they read may have changed
+  let _tileCacheVersion = 0;
+
+  function getTileCacheVersion() {
+    return _tileCacheVersion;
+  }
+
+  class TileCache {
+    constructor(maxSize = 256) {
+      this._cache = new Map();
+      this._maxSize = maxSize;
+      this._accessOrder = [];
+    }
+
+    _makeKey(z, x, y) {
+      return `${z}/${x}/${y}`;
+    }
+
+    get(z, x, y) {
+      const key = this._makeKey(z, x, y);
+      if (this._cache.has(key)) {
+        // Move to end of access order (LRU)
+        const idx = this._accessOrder.indexOf(key);
+        if (idx > -1) {
+          this._accessOrder.splice(idx, 1);
+        }
+        this._accessOrder.push(key);
+        return this._cache.get(key);
+      }
+      return null;
+    }
+
+    set(z, x, y, data) {
+      const key = this._makeKey(z, x, y);
+
+      // Evict oldest entries if at capacity
+      while (this._cache.size >= this._maxSize && this._accessOrder.length > 0) {
+        const oldestKey = this._accessOrder.shift();
+        this._cache.delete(oldestKey);
+      }
+
+      this._cache.set(key, data);
+      this._accessOrder.push(key);
+      _tileCacheVersion++;
+    }
+
+    has(z, x, y) {
+      return this._cache.has(this._makeKey(z, x, y));
+    }
+  }
+
+  // Upsampled stand-ins kept per provider, so tiles rebuilt from the same
+  // ancestor don't resample it every time
+  const UPSAMPLED_CACHE_SIZE = 64;
+
+  // Delay before a failed tile may be requested again, doubling with each
+  // consecutive failure up to the maximum (ms)
+  const RETRY_BASE_DELAY = 1000;
+  const RETRY_MAX_DELAY = 60000;
+
+  /**
+   * TileLoadError - a tile that couldn't be fetched or decoded
+   *
+   * `kind` is 'unauthorized' (HTTP 401, usually a bad token), 'not-found'
+   * (404, outside the source's coverage), 'rate-limited' (429), 'http'
+   * (any other status), 'network' (no response at all) or 'decode' (a
+   * response that isn't a readable image).
+   */
+  class TileLoadError extends Error {
+    constructor(z, x, y, kind, status = null) {
+      super(`Failed to load tile ${z}/${x}/${y}: ${status ? `HTTP ${status}` : kind}`);
+      this.name = 'TileLoadError';
+      this.kind = kind;
+      this.status = status;
+    }
+
+    static fromStatus(z, x, y, status) {
+      const kinds = { 401: 'unauthorized', 404: 'not-found', 429: 'rate-limited' };
+      return new TileLoadError(z, x, y, kinds[status] || 'http', status);
+    }
+  }
+
+  // Error a load rejects with once everyone waiting on it has given up
+  function abortError(z, x, y) {
+    return new DOMException(`Load of tile ${z}/${x}/${y} aborted`, 'AbortError');
+  }
+
+  // Workers shared by every provider for fetching and decoding tile images
+  const NUM_DECODER_WORKERS = 2;
+
+  /**
+   * TileDecoderPool - Runs fetch and decode jobs in tile-decoder-worker.js
+   *
+   * Workers take many jobs at once, so each job simply goes to the worker
+   * with the fewest in flight. Aborting a job's signal cancels its fetch.
+   * A worker that errors (failing to start, say) fails its jobs as decode
+   * errors and gets no more.
+   */
+  class TileDecoderPool {
+    constructor(size, workerPath) {
+      this._workers = Array.from({ length: size }, () => {
+        const worker = new Worker(workerPath, { type: 'module' });
+        const slot = { worker: worker, active: 0, failed: false };
+        worker.onmessage = (e) => this._onMessage(e.data);
+        worker.onerror = (e) => this._onWorkerError(slot, e);
+        return slot;
+      });
+      this._jobs = new Map();
+      this._nextId = 0;
+    }
+
+    run(job, signal) {
+      const { z, x, y } = job;
+      if (signal && signal.aborted) {
+        return Promise.reject(abortError(z, x, y));
+      }
+
+      const working = this._workers.filter((w) => !w.failed);
+      if (!working.length) {
+        return Promise.reject(new TileLoadError(z, x, y, 'decode'));
+      }
+
+      const id = this._nextId++;
+      const slot = working.reduce((a, b) => (b.active < a.active ? b : a));
+      slot.active++;
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => slot.worker.postMessage({ subject: 'cancel', id });
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        this._jobs.set(id, {
+          slot: slot,
+          resolve: resolve,
+          reject: (error) => reject(error.name === 'TileLoadError' ?
+              new TileLoadError(z, x, y, error.kind, error.status) :
+              error.name === 'AbortError' ? abortError(z, x, y) : new Error(error.message)),
+          cleanup: () => signal && signal.removeEventListener('abort', onAbort)
+        });
+        slot.worker.postMessage({ subject: 'decode_tile', id, job });
+      });
+    }
+
+    _onMessage(msg) {
+      const job = this._jobs.get(msg.id);
+      if (!job) {
+        return;
+      }
+      this._jobs.delete(msg.id);
+      job.slot.active--;
+      job.cleanup();
+
+      if (msg.subject === 'decode_tile_result') {
+        job.resolve(msg.data);
+      } else {
+        job.reject(msg.error);
+      }
+    }
+
+    _onWorkerError(slot, event) {
+      console.error('Tile decoder worker failed:', event.message || event);
+      slot.failed = true;
+
+      for (const [id, job] of this._jobs) {
+        if (job.slot !== slot) {
+          continue;
+        }
+        this._jobs.delete(id);
+        slot.active--;
+        job.cleanup();
+        job.reject({ name: 'TileLoadError', kind: 'decode', status: null });
+      }
+    }
+  }
+
+  let _decoderPool = null;
+
+  // Created on first use, so workers that import this module never spawn it
+  function getDecoderPool() {
+    if (!_decoderPool) {
+      _decoderPool = new TileDecoderPool(NUM_DECODER_WORKERS, 'src/tile-decoder-worker.js');
+    }
+    return _decoderPool;
+  }
+
+  // Imagery finer than one zoom past its elevation tile quadruples memory
+  // for every step
+  const MAX_IMAGERY_ZOOM_OFFSET = 1;
+
+  // [x, y] of the tiles at zoom iz covering tile (z, x, y), row by row
+  function getCoveringTiles(z, x, y, iz) {
+    if (iz < z) {
+      return [[x >> (z - iz), y >> (z - iz)]];
+    }
+
+    const n = 1 << (iz - z);
+    const coords = [];
+    for (let j = 0; j < n; j++) {
+      for (let i = 0; i < n; i++) {
+        coords.push([x * n + i, y * n + j]);
+      }
+    }
+    return coords;
+  }
+
+  // Copy the pixels of imagery tiles at zoom iz, as listed by
+  // getCoveringTiles(), that cover tile (z, x, y) into one RGB grid. Nothing
+  // is resampled, so the grid's size follows the imagery's resolution.
+  function assembleImagery(tiles, z, x, y, iz) {
+    const tileSize = tiles[0].width;
+
+    if (iz < z) {
+      const n = 1 << (z - iz);
+      const size = Math.max(1, tileSize / n);
+      const ox = Math.floor((x & (n - 1)) * tileSize / n);
+      const oy = Math.floor((y & (n - 1)) * tileSize / n);
+      const colors = new Uint8ClampedArray(3 * size * size);
+      for (let row = 0; row < size; row++) {
+        const src = 3 * ((oy + row) * tileSize + ox);
+        colors.set(tiles[0].colors.subarray(src, src + 3 * size), 3 * row * size);
+      }
+      return { width: size, height: size, colors };
+    }
+
+    const n = 1 << (iz - z);
+    const size = tileSize * n;
+    const colors = new Uint8ClampedArray(3 * size * size);
+    tiles.forEach((tile, i) => {
+      const ox = (i % n) * tileSize;
+      const oy = Math.floor(i / n) * tileSize;
+      for (let row = 0; row < tileSize; row++) {
+        colors.set(tile.colors.subarray(3 * row * tileSize, 3 * (row + 1) * tileSize),
+            3 * ((oy + row) * size + ox));
+      }
+    });
+    return { width: size, height: size, colors };
+  }
+
+  // Pending tile loads, each {promise, controller, waiting}
+  class LoadingTracker {
+    constructor() {
+      this._pending = new Map();
+    }
+
+    _makeKey(z, x, y) {
+      return `${z}/${x}/${y}`;
+    }
+
+    isLoading(z, x, y) {
+      return this._pending.has(this._makeKey(z, x, y));
+    }
+
+    getLoad(z, x, y) {
+      return this._pending.get(this._makeKey(z, x, y));
+    }
+
+    setLoading(z, x, y, load) {
+      this._pending.set(this._makeKey(z, x, y), load);
+    }
+
+    clearLoading(z, x, y) {
+      this._pending.delete(this._makeKey(z, x, y));
+    }
+  }
+
+
+  /**
+   * TerrainProvider - Base class for every elevation source
+   *
+   * Handles in-memory caching and de-duplication of concurrent loads.
+   * Failed loads are never cached; they're remembered separately and
+   * refused until a backoff delay has passed.
+   * Subclasses implement _fetchAndDecodeTile(z, x, y).
+   */
+  class TerrainProvider {
+    constructor(params = {}) {
+      this._maxZoom = params.maxZoom || 15;
+      this._zoom = params.zoom || 12;
+      this._tileCache = new TileCache(params.cacheSize || 256);
+      this._upsampledTiles = new Map();
+      this._loadingTracker = new LoadingTracker();
+      this._failures = new Map();
+    }
+
+    set zoom(z) {
+      this._zoom = Math.max(0, Math.min(this._maxZoom, Math.floor(z)));
+    }
+
+    get zoom() {
+      return this._zoom;
+    }
+
+    get maxZoom() {
+      return this._maxZoom;
+    }
+
+    // Sources without a persistent tier ignore these
+    set persistentCacheBytes(bytes) {
+    }
+
+    get persistentCacheBytes() {
+      return 0;
+    }
+
+    clearPersistentCache() {
+      return Promise.resolve();
+    }
+
+    /**
+     * Load a tile and return its height data as a Float32Array
+     *
+     * Aborting `signal` rejects this call with an AbortError. Concurrent
+     * loads of the same tile share one request, which is only cancelled
+     * once every caller has aborted.
+     */
+    async loadTile(z, x, y, signal = null) {
+      // Check cache first
+      const cached = this._tileCache.get(z, x, y);
+      if (cached) {
+        return cached;
+      }
+
+      if (signal && signal.aborted) {
+        throw abortError(z, x, y);
+      }
+
+      // Join the load in flight, or start one unless still backing off
+      let load = this._loadingTracker.getLoad(z, x, y);
+      if (!load) {
+        const failure = this.getTileFailure(z, x, y);
+        if (failure && Date.now() < failure.retryAt) {
+          throw failure.error;
+        }
+
+        const controller = new AbortController();
+        load = { controller, waiting: 0, promise: null };
+        load.promise = this._loadTile(z, x, y, controller.signal)
+          .then((data) => {
+            this._tileCache.set(z, x, y, data);
+            this._failures.delete(`${z}/${x}/${y}`);
+            return data;
+          }, (err) => {
+            if (err.name !== 'AbortError') {
+              this._recordFailure(z, x, y, err);
+            }
+            throw err;
+          })
+          .finally(() => {
+            if (this._loadingTracker.getLoad(z, x, y) === load) {
+              this._loadingTracker.clearLoading(z, x, y);
+            }
+          });
+        this._loadingTracker.setLoading(z, x, y, load);
+      }
+
+      load.waiting++;
+      if (!signal) {
+        return load.promise;
+      }
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          // Let the next caller start afresh rather than join a dead load
+          if (--load.waiting === 0) {
+            this._loadingTracker.clearLoading(z, x, y);
+            load.controller.abort();
+          }
+          reject(abortError(z, x, y));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        load.promise.then(resolve, reject).finally(() => {
+          signal.removeEventListener('abort', onAbort);
+        });
+      });
+    }
+
+    _loadTile(z, x, y, signal) {
+      return this._fetchAndDecodeTile(z, x, y, signal);
+    }
+
+    _recordFailure(z, x, y, err) {
+      const key = `${z}/${x}/${y}`;
+      const error = err instanceof TileLoadError ? err : new TileLoadError(z, x, y, 'decode');
+      const attempts = (this._failures.has(key) ? this._failures.get(key).attempts : 0) + 1;
+      const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+
+      this._failures.set(key, { error, attempts, retryAt: Date.now() + delay });
+      console.warn(`${error.message}, retrying in ${delay / 1000}s`);
+    }
+
+    /**
+     * The last failure of a tile that hasn't loaded since, as
+     * {error, attempts, retryAt}, or null
+     */
+    getTileFailure(z, x, y) {
+      return this._failures.get(`${z}/${x}/${y}`) || null;
+    }
+
+    /**
+     * Check if a tile load is in flight
+     */
+    isTileLoading(z, x, y) {
+      return this._loadingTracker.isLoading(z, x, y);
+    }
+
+    /**
+     * Number of tiles currently failing, by TileLoadError kind
+     */
+    getFailureCounts() {
+      const counts = {};
+      for (const { error } of this._failures.values()) {
+        counts[error.kind] = (counts[error.kind] || 0) + 1;
+      }
+      return counts;
+    }
+
+    async _fetchAndDecodeTile(z, x, y, signal) {
+      throw new Error(`${this.constructor.name} does not implement _fetchAndDecodeTile`);
+    }
+
+    /**
+     * Get height at a specific lon/lat position
+     * Returns a Promise that resolves to the height in meters
+     */
+    async getHeightAt(lon, lat) {
+      const coords = getFractionalTileCoords(lon, lat, this._zoom);
+      const tile = await this.loadTile(this._zoom, coords.tileX, coords.tileY);
+
+      return sampleTileHeight(tile, coords.fracX, coords.fracY);
+    }
+
+    /**
+     * Prefetch tiles for a given bounds
+     */
+    async prefetchTiles(westLon, southLat, eastLon, northLat, zoom = null) {
+      const z = zoom || this._zoom;
+
+      const minX = lon2tileX(westLon, z);
+      const maxX = lon2tileX(eastLon, z);
+      const minY = lat2tileY(northLat, z); // Note: Y is inverted
+      const maxY = lat2tileY(southLat, z);
+
+      const promises = [];
+      for (let x = minX; x <= maxX; x++) {
+        for (let y = minY; y <= maxY; y++) {
+          promises.push(this.loadTile(z, x, y));
+        }
+      }
+
+      return Promise.all(promises);
+    }
+
+    /**
+     * Get tile coordinates for a given lon/lat
+     */
+    getTileCoords(lon, lat, zoom = null) {
+      const z = zoom || this._zoom;
+      return {
+        z: z,
+        x: lon2tileX(lon, z),
+        y: lat2tileY(lat, z)
+      };
+    }
+
+    /**
+     * Get the bounds of a tile in lon/lat
+     */
+    getTileBounds(z, x, y) {
+      return getTileBounds(z, x, y);
+    }
+
+    /**
+     * Check if a tile is cached
+     */
+    isTileCached(z, x, y) {
+      return this._tileCache.has(z, x, y);
+    }
+
+    /**
+     * Get cached tile data (returns null if not cached)
+     */
+    getCachedTile(z, x, y) {
+      return this._tileCache.get(z, x, y);
+    }
+
+    /**
+     * Put an already decoded tile into the memory cache, e.g. tiles handed
+     * to a worker that has no network access of its own
+     */
+    cacheTile(tile) {
+      this._tileCache.set(tile.z, tile.x, tile.y, tile);
+    }
+
+    /**
+     * Stand-in for a tile that isn't cached yet, resampled from its nearest
+     * cached ancestor at the ancestor's resolution. The result is flagged
+     * `upsampled` and kept out of the tile cache; the last few are reused
+     * for as long as their ancestor is the nearest one cached. Returns null
+     * if no ancestor is cached.
+     */
+    getUpsampledTile(z, x, y) {
+      for (let az = z - 1; az >= 0; az--) {
+        const shift = z - az;
+        const ancestor = this._tileCache.get(az, x >> shift, y >> shift);
+        if (!ancestor) {
+          continue;
+        }
+
+        const key = `${z}/${x}/${y}`;
+        const reused = this._upsampledTiles.get(key);
+        this._upsampledTiles.delete(key);
+        if (reused && reused.ancestor === ancestor) {
+          this._upsampledTiles.set(key, reused);
+          return reused.tile;
+        }
+
+        const scale = 1 << shift;
+        const size = ancestor.width;
+        const offsetX = x - (x >> shift) * scale;
+        const offsetY = y - (y >> shift) * scale;
+
+        const heights = new Float32Array(size * size);
+
+        for (let py = 0; py < size; py++) {
+          for (let px = 0; px < size; px++) {
+            const fracX = (offsetX + px / (size - 1)) / scale;
+            const fracY = (offsetY + py / (size - 1)) / scale;
+            const i = py * size + px;
+
+            heights[i] = sampleTileHeight(ancestor, fracX, fracY);
+          }
+        }
+
+        const tile = {
+          z, x, y,
+          width: size,
+          height: size,
+          heights,
+          colors: null,
+          bounds: getTileBounds(z, x, y),
+          upsampled: true
+        };
+
+        this._upsampledTiles.set(key, { ancestor, tile });
+        if (this._upsampledTiles.size > UPSAMPLED_CACHE_SIZE) {
+          this._upsampledTiles.delete(this._upsampledTiles.keys().next().value);
+        }
+        return tile;
+      }
+      return null;
+    }
+
+    /**
+     * Copy a cached tile's heights into a grid padded by `pad` texels on
+     * each side, with the apron taken from whichever neighbours are cached.
+     *
+     * Tiles are treated as sharing their edge texels, and shared texels are
+     * averaged, so two tiles padded this way see identical heights along
+     * and across their common edge. Where no neighbour or ancestor is cached
+     * the field is extrapolated linearly from inside the tile.
+     *
+     * A tile that isn't cached is stood in for by `tile` if given, or
+     * else by getUpsampledTile().
+     *
+     * Returns a Float32Array of (width + 2 * pad)^2 heights, or null if
+     * there's nothing to stand in for an uncached tile.
+     */
+    getPaddedHeights(z, x, y, pad, tile = null) {
+      tile = this._tileCache.get(z, x, y) || tile || this.getUpsampledTile(z, x, y);
+      if (!tile) {
+        return null;
+      }
+
+      const size = tile.width;
+      const cells = size - 1;
+      const stride = size + 2 * pad;
+
+      const sums = new Float32Array(stride * stride);
+      const counts = new Uint8Array(stride * stride);
+
+      const peek = (tz, tx, ty) => {
+        if (ty < 0 || ty >= (1 << tz)) {
+          return null;
+        }
+        tx = ((tx % (1 << tz)) + (1 << tz)) % (1 << tz);
+        return this._tileCache.get(tz, tx, ty);
+      };
+
+      // Same-zoom neighbours (and the tile itself) contribute texel for texel
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = (dx || dy) ? peek(z, x + dx, y + dy) : tile;
+          if (!neighbour || neighbour.width !== size) {
+            continue;
+          }
+
+          const minX = Math.max(-pad, dx * cells);
+          const maxX = Math.min(cells + pad, dx * cells + cells);
+          const minY = Math.max(-pad, dy * cells);
+          const maxY = Math.min(cells + pad, dy * cells + cells);
+
+          for (let ly = minY; ly <= maxY; ly++) {
+            for (let lx = minX; lx <= maxX; lx++) {
+              const h = neighbour.heights[(ly - dy * cells) * size + (lx - dx * cells)];
+              const idx = (ly + pad) * stride + (lx + pad);
+              sums[idx] += h;
+              counts[idx]++;
+            }
+          }
+        }
+      }
+
+      const heights = new Float32Array(stride * stride);
+      const ancestors = new Map();
+      const missing = [];
+
+      for (let ly = -pad; ly <= cells + pad; ly++) {
+        for (let lx = -pad; lx <= cells + pad; lx++) {
+          const idx = (ly + pad) * stride + (lx + pad);
+          if (counts[idx]) {
+            heights[idx] = sums[idx] / counts[idx];
+            continue;
+          }
+
+          // Fall back to the nearest cached ancestor covering this texel
+          const gx = x + lx / cells;
+          const gy = y + ly / cells;
+          let found = false;
+          for (let az = z - 1; az >= Math.max(0, z - 4) && !found; az--) {
+            const scale = 1 << (z - az);
+            const ax = Math.floor(gx / scale);
+            const ay = Math.floor(gy / scale);
+            const akey = `${az}/${ax}/${ay}`;
+            if (!ancestors.has(akey)) {
+              ancestors.set(akey, peek(az, ax, ay));
+            }
+            const ancestor = ancestors.get(akey);
+            if (ancestor) {
+              heights[idx] = sampleTileHeight(ancestor, gx / scale - ax, gy / scale - ay);
+              found = true;
+            }
+          }
+          if (!found) {
+            missing.push(lx, ly);
+          }
+        }
+      }
+
+      // Reflect anything still missing through the tile edge, first across
+      // X, then across Y so corners can build on the X pass
+      const reflect = (l) => (l < 0 ? -l : 2 * cells - l);
+      const at = (lx, ly) => heights[(ly + pad) * stride + (lx + pad)];
+      const edge = (l) => (l < 0 ? 0 : cells);
+      const filled = new Uint8Array(missing.length / 2);
+
+      for (let i = 0; i < missing.length; i += 2) {
+        const lx = missing[i];
+        const ly = missing[i + 1];
+        if (lx < 0 || lx > cells) {
+          if (ly >= 0 && ly <= cells) {
+            heights[(ly + pad) * stride + (lx + pad)] = 2 * at(edge(lx), ly) - at(reflect(lx), ly);
+            filled[i / 2] = 1;
+          }
+        }
+      }
+      for (let i = 0; i < missing.length; i += 2) {
+        const lx = missing[i];
+        const ly = missing[i + 1];
+        if (!filled[i / 2]) {
+          heights[(ly + pad) * stride + (lx + pad)] = 2 * at(lx, edge(ly)) - at(lx, reflect(ly));
+        }
+      }
+
+      return heights;
+    }
+  }
+
+
+  /**
+   * XYZTerrainProvider - Elevation from any {z}/{x}/{y} raster URL template
+   *
+   * The template may be absolute or relative to the page, so tiles served by
+   * server.js from disk work as well as remote tile servers.
+   */
+  class XYZTerrainProvider extends TerrainProvider {
+    constructor(params = {}) {
+      super(params);
+      this._urlTemplate = params.url || '';
+      this._encoding = params.encoding || 'terrain-rgb';
+      this._persistentNamespace = params.persistentNamespace || this._urlTemplate;
+      this._persistentCache = new tile_store.PersistentTileCache({
+        dbName: params.persistentDbName || 'terrain-tiles',
+        maxBytes: params.persistentCacheBytes
+      });
+
+      // What the decoder worker makes of each image
+      this._decodeAs = 'elevation';
+
+      if (!(this._encoding in ELEVATION_ENCODINGS)) {
+        throw new Error(`Unknown elevation encoding: ${this._encoding}`);
+      }
+    }
+
+    /**
+     * Set the byte budget of the persistent cache
+     */
+    set persistentCacheBytes(bytes) {
+      this._persistentCache.maxBytes = bytes;
+    }
+
+    get persistentCacheBytes() {
+      return this._persistentCache.maxBytes;
+    }
+
+    /**
+     * Drop every tile from the persistent cache
+     */
+    clearPersistentCache() {
+      return this._persistentCache.clear();
+    }
+
+    _fillTemplate(template, z, x, y) {
+      return template
+          .replace('{z}', z)
+          .replace('{x}', x)
+          .replace('{y}', y);
+    }
+
+    _getTileUrl(z, x, y) {
+      return this._fillTemplate(this._urlTemplate, z, x, y);
+    }
+
+    // Start loading, preferring the persistent cache over the network
+    _loadTile(z, x, y, signal) {
+      return this._loadPersistedTile(z, x, y, signal).then((data) => {
+        if (data) {
+          return data;
+        }
+        if (signal.aborted) {
+          throw abortError(z, x, y);
+        }
+        return this._fetchAndDecodeTile(z, x, y, signal);
+      });
+    }
+
+    _getPersistentKey(z, x, y) {
+      return `${this._persistentNamespace}/${z}/${x}/${y}`;
+    }
+
+    /**
+     * Decode a tile from the persistent cache, or null if it was never stored
+     */
+    async _loadPersistedTile(z, x, y, signal) {
+      const blob = await this._persistentCache.get(this._getPersistentKey(z, x, y));
+
+      // Entries stored before imagery was split out hold both images, and
+      // are simply fetched again
+      if (!(blob instanceof Blob)) {
+        return null;
+      }
+      return this._decodeTile(z, x, y, { blob }, signal);
+    }
+
+    async _fetchAndDecodeTile(z, x, y, signal) {
+      // Workers resolve relative urls against their own script, not the page
+      const url = new URL(this._getTileUrl(z, x, y), location.href).href;
+      return this._decodeTile(z, x, y, { url }, signal);
+    }
+
+    // Fetch (given a url) or just decode (given a blob) in a decoder worker
+    async _decodeTile(z, x, y, source, signal) {
+      const job = Object.assign({
+        z, x, y,
+        decodeAs: this._decodeAs,
+        url: null,
+        blob: null,
+        encoding: this._encoding
+      }, source);
+      const result = await getDecoderPool().run(job, signal);
+
+      if (result.blob) {
+        this._persistentCache.set(this._getPersistentKey(z, x, y), result.blob, result.blob.size);
+      }
+
+      return {
+        heights: result.heights || null,
+        colors: result.colors || null,
+        width: result.width,
+        height: result.height,
+        z: z,
+        x: x,
+        y: y,
+        bounds: getTileBounds(z, x, y)
+      };
+    }
+  }
+
+
+  /**
+   * XYZImageryProvider - RGB imagery from any {z}/{x}/{y} raster URL template
+   *
+   * Imagery is fetched at its own zoom: the zoom of the elevation tile it
+   * drapes over plus zoomOffset, capped at the source's maxZoom.
+   * loadImagery() assembles whatever imagery tiles that takes into one grid
+   * covering the elevation tile.
+   */
+  class XYZImageryProvider extends XYZTerrainProvider {
+    constructor(params = {}) {
+      super(Object.assign({ maxZoom: 19, persistentDbName: 'imagery-tiles' }, params));
+      this._decodeAs = 'imagery';
+      this.zoomOffset = params.zoomOffset || 0;
+    }
+
+    set zoomOffset(offset) {
+      this._zoomOffset = Math.min(MAX_IMAGERY_ZOOM_OFFSET, Math.round(offset));
+    }
+
+    get zoomOffset() {
+      return this._zoomOffset;
+    }
+
+    set maxZoom(z) {
+      this._maxZoom = z;
+    }
+
+    get maxZoom() {
+      return this._maxZoom;
+    }
+
+    /**
+     * Zoom of the imagery draped over an elevation tile at zoom z
+     */
+    getImageryZoom(z) {
+      return Math.max(0, Math.min(this._maxZoom, z + this._zoomOffset));
+    }
+
+    /**
+     * Imagery covering elevation tile (z, x, y) as {width, height, colors},
+     * or null unless every imagery tile it needs is cached
+     */
+    getCachedImagery(z, x, y) {
+      const iz = this.getImageryZoom(z);
+      const tiles = getCoveringTiles(z, x, y, iz).map(([tx, ty]) => this._tileCache.get(iz, tx, ty));
+      return tiles.every((t) => t) ? assembleImagery(tiles, z, x, y, iz) : null;
+    }
+
+    /**
+     * Load the imagery covering elevation tile (z, x, y). Rejects if any
+     * imagery tile it needs fails to load.
+     */
+    async loadImagery(z, x, y, signal = null) {
+      const iz = this.getImageryZoom(z);
+      const tiles = await Promise.all(getCoveringTiles(z, x, y, iz).map(
+          ([tx, ty]) => this.loadTile(iz, tx, ty, signal)));
+      return assembleImagery(tiles, z, x, y, iz);
+    }
+  }
+
+
+  /**
+   * TerrariumTerrainProvider - Mapzen terrarium tiles, by default the free
+   * AWS Terrain Tiles open dataset
+   */
+  class TerrariumTerrainProvider extends XYZTerrainProvider {
+    constructor(params = {}) {
+      super(Object.assign({
+        url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+        persistentNamespace: 'terrarium'
+      }, params, { encoding: 'terrarium' }));
+    }
+  }
+
+  return {
+    TerrainProvider: TerrainProvider,
+    TileLoadError: TileLoadError,
+    XYZTerrainProvider: XYZTerrainProvider,
+    XYZImageryProvider: XYZImageryProvider,
+    TerrariumTerrainProvider: TerrariumTerrainProvider,
+    ELEVATION_ENCODINGS: ELEVATION_ENCODINGS,
+    lon2tileX: lon2tileX,
+    lat2tileY: lat2tileY,
+    getTileCacheVersion: getTileCacheVersion,
+    tileX2lon: tileX2lon,
+    tileY2lat: tileY2lat,
+    getFractionalTileCoords: getFractionalTileCoords,
+    getTileBounds: getTileBounds,
+    sampleTileHeight: sampleTileHeight,
+    sampleTileColour: sampleTileColour,
+    getTileHeightRange: getTileHeightRange,
+    decodeTerrainRGB: decodeTerrainRGB,
+    decodeTerrarium: decodeTerrarium,
+    TILE_SIZE: TILE_SIZE
+  };
+})();
@@ -12,14 +12,21 @@ uniform vec3 cameraPosition;
 uniform float fogDensity;
 uniform vec3 cloudScale;
 
+// Camera distances over which vertices blend from their own LOD to their
+// parent's; disabled when y <= x
+uniform vec2 morphRange;
+
 // Attributes
 in vec3 position;
+in vec3 parentPosition;
 in vec3 normal;
 in vec3 coords;
 in vec3 color;
+in vec2 uv;
 
 // Outputs
 out vec4 vColor;
+out vec2 vUV;
 out vec3 vNormal;
 out vec3 vCoords;
 out vec3 vVSPos;
@@ -35,13 +42,21 @@ void main(){
       viewMatrix[2],
       vec4(0.0, 0.0, 0.0, 1.0));
 
-  gl_Position = projectionMatrix * terrainMatrix * modelMatrix * vec4(position, 1.0);
+  // The model matrix holds the floating origin, so this is the distance
+  // from the camera
+  float cameraDistance = length((modelMatrix * vec4(position, 1.0)).xyz);
+  float morph = morphRange.y > morphRange.x ?
+      saturate((cameraDistance - morphRange.x) / (morphRange.y - morphRange.x)) : 0.0;
+  vec3 morphedPosition = mix(position, parentPosition, morph);
+
+  gl_Position = projectionMatrix * terrainMatrix * modelMatrix * vec4(morphedPosition, 1.0);
 
   vNormal = normal;
 
   vColor = vec4(color, 1);
-  vCoords = (modelMatrix * vec4(position, 1.0)).xyz + cameraPosition;
-  vVSPos = (terrainMatrix * modelMatrix * vec4(position, 1.0)).xyz;
+  vUV = uv;
+  vCoords = (modelMatrix * vec4(morphedPosition, 1.0)).xyz + cameraPosition;
+  vVSPos = (terrainMatrix * modelMatrix * vec4(morphedPosition, 1.0)).xyz;
 
   vec3 pos = coords;
   float p = 32768.0;
@@ -63,12 +78,48 @@ uniform sampler2DArray normalMap;
 uniform sampler2DArray diffuseMap;
 uniform sampler2D noiseMap;
 
+// Imagery draped over the chunk being drawn, used in place of vertex
+// colours when hasImagery is set
+uniform sampler2D imageryMap;
+uniform bool hasImagery;
+
+// World units per meter of height, the whole of the vertical exaggeration
+// (meshes must not scale heights any further), and the planet's radius or 0
+// for flat terrain, where height is world Y
+uniform float heightScale;
+uniform float planetRadius;
+
+// How the terrain is coloured, as listed in overlays.SHADING_MODES
+const int SHADING_SATELLITE = 0;
+const int SHADING_ELEVATION = 1;
+const int SHADING_SLOPE = 2;
+const int SHADING_ASPECT = 3;
+const int SHADING_HILLSHADE = 4;
+uniform int shadingMode;
+
+// Contour overlay: lines every contourInterval meters above sea level,
+// every contourIndex'th one bolder, contourWidth pixels wide
+uniform bool showContours;
+uniform float contourInterval;
+uniform float contourIndex;
+uniform float contourWidth;
+uniform vec3 contourColour;
+
+// Viewshed overlay: viewshedMap is green where visible and red where
+// hidden, transparent outside the computed area. viewshedTransform takes
+// world XZ to its UVs.
+uniform bool showViewshed;
+uniform sampler2D viewshedMap;
+uniform mat3 viewshedTransform;
+uniform float viewshedOpacity;
+
 uniform mat4 modelMatrix;
 uniform mat4 modelViewMatrix;
 uniform vec3 cameraPosition;
 uniform float logDepthBufFC;
 
 in vec4 vColor;
+in vec2 vUV;
 in vec3 vNormal;
 in vec3 vCoords;
 in vec3 vRepeatingCoords;
@@ -255,6 +306,137 @@ vec4 _TriplanarN(vec3 pos, vec3 normal, float texSlice, sampler2DArray tex) {
   return vec4(worldNormal, 0.0);
 }
 
+// Columns are east, north and up at a world position. Flat terrain has
+// west along +X and north along +Z; the planet's north pole is on +Y.
+mat3 _LocalFrame(vec3 worldPosition) {
+  if (planetRadius > 0.0) {
+    vec3 up = normalize(worldPosition);
+    vec3 east = normalize(cross(vec3(0.0, 1.0, 0.0), up));
+    return mat3(east, cross(up, east), up);
+  }
+  return mat3(vec3(-1.0, 0.0, 0.0), vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0));
+}
+
+// Same ramp as _getTerrainColor in flat-terrain-worker.js
+vec3 _ElevationColour(float height) {
+  const vec3 deepWater = vec3(0.1, 0.2, 0.5);
+  const vec3 shallowWater = vec3(0.2, 0.4, 0.6);
+  const vec3 beach = vec3(0.85, 0.83, 0.65);
+  const vec3 grass = vec3(0.3, 0.6, 0.2);
+  const vec3 forest = vec3(0.2, 0.4, 0.15);
+  const vec3 rock = vec3(0.5, 0.45, 0.4);
+  const vec3 snow = vec3(0.95, 0.95, 0.97);
+
+  if (height < 0.0) {
+    return mix(deepWater, shallowWater, saturate((height + 100.0) / 100.0));
+  } else if (height < 10.0) {
+    return mix(shallowWater, beach, height / 10.0);
+  } else if (height < 500.0) {
+    return mix(beach, grass, (height - 10.0) / 490.0);
+  } else if (height < 1500.0) {
+    return mix(grass, forest, (height - 500.0) / 1000.0);
+  } else if (height < 2500.0) {
+    return mix(forest, rock, (height - 1500.0) / 1000.0);
+  } else if (height < 3500.0) {
+    return mix(rock, snow, (height - 2500.0) / 1000.0);
+  }
+  return snow;
+}
+
+// Avalanche terrain classes; slopes under 27 degrees keep the base colour
+vec3 _SlopeColour(float slope, vec3 base) {
+  if (slope < 27.0) {
+    return base;
+  } else if (slope < 30.0) {
+    return vec3(0.95, 0.9, 0.1);
+  } else if (slope < 35.0) {
+    return vec3(0.96, 0.6, 0.1);
+  } else if (slope < 40.0) {
+    return vec3(0.9, 0.12, 0.12);
+  } else if (slope < 45.0) {
+    return vec3(0.63, 0.12, 0.63);
+  }
+  return vec3(0.12, 0.24, 0.63);
+}
+
+// Fully saturated colour for a hue in [0, 1)
+vec3 _Hue(float hue) {
+  return saturate(abs(mod(hue * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0);
+}
+
+// Multi-directional hillshade from an east/north/up normal: four lights
+// 45 degrees up across the north-west, each weighted by how side-on it is
+// to the slope (Mark, 1992) so that no aspect washes out. The weights
+// always sum to 2.
+float _Hillshade(vec3 normal) {
+  const float altitude = 0.7853982;
+  float aspect = atan(normal.x, normal.y);
+
+  float shade = 0.0;
+  for (int i = 0; i < 4; i++) {
+    float azimuth = radians(225.0 + 45.0 * float(i));
+    vec3 light = vec3(sin(azimuth) * cos(altitude), cos(azimuth) * cos(altitude), sin(altitude));
+    float side = sin(aspect - azimuth);
+    shade += side * side * saturate(dot(normal, light));
+  }
+  return shade / 2.0;
+}
+
+// Darken a colour by hillshade, leaving flat ground unchanged
+vec3 _Relief(vec3 colour, float shade) {
+  return colour * saturate(0.3 + shade);
+}
+
+// Colour for one of the analysis shading modes, from an east/north/up
+// normal in true (unscaled) meters
+vec3 _AnalysisColour(vec3 normal, float height) {
+  float shade = _Hillshade(normal);
+  float slope = degrees(acos(saturate(normal.z)));
+
+  if (shadingMode == SHADING_ELEVATION) {
+    return _Relief(_ElevationColour(height), shade);
+  } else if (shadingMode == SHADING_SLOPE) {
+    return _Relief(_SlopeColour(slope, vec3(0.85)), shade);
+  } else if (shadingMode == SHADING_ASPECT) {
+    // Compass bearing the slope faces, clockwise from north; flat ground
+    // has none and stays grey
+    float aspect = mod(degrees(atan(normal.x, normal.y)) + 360.0, 360.0);
+    return mix(vec3(0.6), _Hue(aspect / 360.0), saturate(slope / 15.0));
+  }
+  return vec3(shade);
+}
+
+// Coverage of lines at whole values of x, width pixels wide whatever the
+// viewing distance. Fades out where lines crowd closer than a few pixels,
+// and on surfaces too flat to have a meaningful line (the sea at 0 m).
+float _ContourLine(float x, float width) {
+  float perPixel = fwidth(x);
+  if (perPixel < 1e-4) {
+    return 0.0;
+  }
+
+  float pixels = abs(fract(x - 0.5) - 0.5) / perPixel;
+  float line = 1.0 - smoothstep(width * 0.5 - 0.5, width * 0.5 + 0.5, pixels);
+  return line * (1.0 - smoothstep(0.2, 0.4, perPixel));
+}
+
+vec3 _ApplyContours(vec3 colour, float height) {
+  float level = height / contourInterval;
+  float minor = _ContourLine(level, contourWidth);
+  float major = _ContourLine(level / contourIndex, contourWidth * 2.0);
+  return mix(colour, contourColour, max(minor * 0.6, major));
+}
+
+vec3 _ApplyViewshed(vec3 colour, vec3 worldPosition) {
+  vec2 uv = (viewshedTransform * vec3(worldPosition.xz, 1.0)).xy;
+  if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+    return colour;
+  }
+
+  vec4 cell = texture(viewshedMap, uv);
+  return mix(colour, cell.rgb, cell.a * viewshedOpacity);
+}
+
 void main() {
   vec3 worldPosition = vCoords;
   vec3 eyeDirection = normalize(worldPosition - cameraPosition);
@@ -274,7 +456,26 @@ void main() {
   finalColour = lighting.xyz;
   // finalColour = vColor.xyz;
 
-  out_FragColor = vec4(vColor.xyz, 1);
+  float height = (planetRadius > 0.0 ? length(worldPosition) - planetRadius : worldPosition.y) / heightScale;
+
+  vec3 albedo = hasImagery ? texture(imageryMap, vUV).xyz : vColor.xyz;
+  if (shadingMode != SHADING_SATELLITE) {
+    // Vertical exaggeration by s divides a normal's up component by s
+    // relative to its horizontal ones; multiplying back gives true slopes
+    vec3 localNormal = worldSpaceNormal * _LocalFrame(worldPosition);
+    localNormal.z *= heightScale;
+    albedo = _AnalysisColour(normalize(localNormal), height);
+  }
+
+  if (showContours) {
+    albedo = _ApplyContours(albedo, height);
+  }
+
+  if (showViewshed) {
+    albedo = _ApplyViewshed(albedo, worldPosition);
+  }
+
+  out_FragColor = vec4(albedo, 1);
   gl_FragDepth = log2(vFragDepth) * logDepthBufFC * 0.5;
 }
 
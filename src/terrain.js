@@ -1,5 +1,7 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
 
+import {geodesy} from './geodesy.js';
+import {mapbox_terrain} from './mapbox-terrain.js';
 import {noise} from './noise.js';
 import {quadtree} from './quadtree.js';
 import {terrain_shader} from './terrain-shader.js';
@@ -19,6 +21,19 @@ export const terrain = (function() {
     _Init(params) {
       this.params_ = params;
 
+      // Globe mode drapes real elevation from params.terrainProvider, and
+      // imagery from params.imageryProvider if given, over an Earth-sized
+      // sphere instead of the procedural planet
+      this.terrainProvider_ = params.terrainProvider || null;
+      this.imageryProvider_ = params.imageryProvider || null;
+      if (this.terrainProvider_) {
+        this.radius_ = terrain_constants.EARTH_RADIUS;
+        this.minCellSize_ = terrain_constants.EARTH_QT_MIN_CELL_SIZE;
+      } else {
+        this.radius_ = terrain_constants.PLANET_RADIUS;
+        this.minCellSize_ = terrain_constants.QT_MIN_CELL_SIZE;
+      }
+
       this.builder_ = new terrain_builder_threaded.TerrainChunkRebuilder_Threaded();
       // this.builder_ = new terrainbuilder_.TerrainChunkRebuilder();
 
@@ -37,7 +52,7 @@ export const terrain = (function() {
       noiseTexture.wrapT = THREE.RepeatWrapping;
 
       this.material_ = new THREE.RawShaderMaterial({
-        uniforms: {
+        uniforms: Object.assign({
           diffuseMap: {
           },
           normalMap: {
@@ -47,8 +62,17 @@ export const terrain = (function() {
           },
           logDepthBufFC: {
             value: 2.0 / (Math.log(this.params_.camera.far + 1.0) / Math.LN2),
+          },
+          morphRange: {
+            value: new THREE.Vector2(),
+          },
+          heightScale: {
+            value: 1.0,
+          },
+          planetRadius: {
+            value: this.radius_,
           }
-        },
+        }, this.params_.overlays ? this.params_.overlays.uniforms : {}),
         vertexShader: terrain_shader.VS,
         fragmentShader: terrain_shader.PS,
         side: THREE.FrontSide
@@ -66,6 +90,19 @@ export const terrain = (function() {
         seed: 1
       };
 
+      this.noise_ = new noise.Noise(params.guiParams.noise);
+      this.noiseParams_ = params.guiParams.noise;
+
+      params.guiParams.heightmap = {
+        height: 16,
+      };
+
+      // The globe's heights come from its tiles, so the noise has nothing
+      // to change there
+      if (this.terrainProvider_) {
+        return;
+      }
+
       const onNoiseChanged = () => {
         this.builder_.Rebuild(this.chunks_);
       };
@@ -84,13 +121,6 @@ export const terrain = (function() {
       noiseRollup.add(params.guiParams.noise, "height", 0, 20000).onChange(
           onNoiseChanged);
 
-      this.noise_ = new noise.Noise(params.guiParams.noise);
-      this.noiseParams_ = params.guiParams.noise;
-
-      params.guiParams.heightmap = {
-        height: 16,
-      };
-
       const heightmapRollup = params.gui.addFolder('Terrain.Heightmap');
       heightmapRollup.add(params.guiParams.heightmap, "height", 0, 128).onChange(
           onNoiseChanged);
@@ -145,6 +175,7 @@ export const terrain = (function() {
       params.guiParams.terrain = {
         wireframe: false,
         fixedCamera: false,
+        morphBand: 0.3,
       };
 
       this.groups_ = [...new Array(6)].map(_ => new THREE.Group());
@@ -158,6 +189,7 @@ export const terrain = (function() {
       });
 
       terrainRollup.add(params.guiParams.terrain, "fixedCamera");
+      terrainRollup.add(params.guiParams.terrain, "morphBand", 0.0, 1.0);
 
       this.chunks_ = {};
       this.params_ = params;
@@ -171,7 +203,7 @@ export const terrain = (function() {
         width: width,
         offset: offset,
         origin: cameraPosition.clone(),
-        radius: terrain_constants.PLANET_RADIUS,
+        radius: this.radius_,
         resolution: resolution,
         neighbours: neighbours,
         biomeGenerator: this.biomes_,
@@ -192,9 +224,81 @@ export const terrain = (function() {
         }
       };
 
+      if (this.terrainProvider_) {
+        params.heightSource = 'tiles';
+        params.tileZoom = this.ChunkTileZoom_(groupTransform, offset, width, resolution);
+        params.tileLoads = new AbortController();
+        params.tiles = this.LoadChunkTiles_(
+            groupTransform, offset, width, resolution, params.tileZoom,
+            params.tileLoads.signal);
+      }
+
       return this.builder_.AllocateChunk(params);
     }
 
+    // Lon/lat of a chunk grid point, placed exactly as the builder places it
+    ChunkPointToLonLat_(transform, offset, width, xpos, ypos) {
+      const half = width / 2;
+      const p = new THREE.Vector3(width * xpos - half, width * ypos - half, this.radius_);
+      p.add(offset);
+      p.normalize();
+      p.multiplyScalar(this.radius_);
+      p.z -= this.radius_;
+      p.applyMatrix4(transform);
+
+      return geodesy.sphereToLonLat(p.x, p.y, p.z);
+    }
+
+    // Tile zoom whose pixels best match the chunk's vertex spacing
+    ChunkTileZoom_(transform, offset, width, resolution) {
+      const centre = this.ChunkPointToLonLat_(transform, offset, width, 0.5, 0.5);
+      const lat = Math.min(Math.abs(centre.lat), mapbox_terrain.MAX_LATITUDE);
+      const spacing = width / resolution;
+      const groundPerTile = 2 * Math.PI * this.radius_ * Math.cos(lat * Math.PI / 180);
+      const zoom = Math.round(Math.log2(groundPerTile / (mapbox_terrain.TILE_SIZE * spacing)));
+
+      return Math.max(0, Math.min(this.terrainProvider_.maxZoom, zoom));
+    }
+
+    // Load every tile under the chunk's vertices, including the skirt ring,
+    // until signal aborts
+    LoadChunkTiles_(transform, offset, width, resolution, zoom, signal) {
+      const numTiles = 1 << zoom;
+      const keys = new Map();
+
+      for (let x = -1; x <= resolution + 1; x++) {
+        for (let y = -1; y <= resolution + 1; y++) {
+          const {lon, lat} = this.ChunkPointToLonLat_(
+              transform, offset, width, x / resolution, y / resolution);
+          const clampedLat = Math.max(
+              -mapbox_terrain.MAX_LATITUDE, Math.min(mapbox_terrain.MAX_LATITUDE, lat));
+          const tileX = (mapbox_terrain.lon2tileX(lon, zoom) % numTiles + numTiles) % numTiles;
+          const tileY = Math.max(0, Math.min(numTiles - 1, mapbox_terrain.lat2tileY(clampedLat, zoom)));
+          keys.set(tileX + '/' + tileY, [tileX, tileY]);
+        }
+      }
+
+      // Imagery is draped if it loads, but never holds up the heights
+      const loads = [...keys.values()].map(([x, y]) => {
+        const tile = this.terrainProvider_.loadTile(zoom, x, y, signal).catch((err) => {
+          if (err.name !== 'AbortError') {
+            console.error('Error loading globe tile:', err);
+          }
+          return null;
+        });
+        const imagery = !this.imageryProvider_ ? null :
+            this.imageryProvider_.loadImagery(zoom, x, y, signal).catch(() => null);
+        return Promise.all([tile, imagery]);
+      });
+
+      // Only the fields the worker needs; the rest don't survive cloning
+      return Promise.all(loads).then((tiles) => tiles.filter(([t]) => t).map(([t, imagery]) => ({
+        z: t.z, x: t.x, y: t.y,
+        width: t.width, height: t.height,
+        heights: t.heights, colors: imagery ? imagery.colors : null,
+      })));
+    }
+
     Update(_) {
       const cameraPosition = this.params_.camera.position.clone();
       if (this.params_.guiParams.terrain.fixedCamera) {
@@ -211,15 +315,26 @@ export const terrain = (function() {
         this.UpdateVisibleChunks_Quadtree_(cameraPosition);
       }
 
+      // A node splits once the camera is closer to it than its size, so a
+      // chunk gives way to its parent at twice its own width. Geometry
+      // morphs to the parent's over the last morphBand of that distance.
+      const morphBand = this.params_.guiParams.terrain.morphBand;
+      const _SetMorphRange = (chunk) => {
+        const end = chunk.params_.width * 2;
+        chunk.SetMorphRange(end * (1 - morphBand), end);
+      };
+
       for (let k in this.chunks_) {
         this.chunks_[k].chunk.Update(this.params_.camera.position);
+        _SetMorphRange(this.chunks_[k].chunk);
       }
       for (let c of this.builder_.old_) {
         c.chunk.Update(this.params_.camera.position);
+        _SetMorphRange(c.chunk);
       }
 
-      this.params_.scattering.uniforms.planetRadius.value = terrain_constants.PLANET_RADIUS;
-      this.params_.scattering.uniforms.atmosphereRadius.value = terrain_constants.PLANET_RADIUS * 1.01;
+      this.params_.scattering.uniforms.planetRadius.value = this.radius_;
+      this.params_.scattering.uniforms.atmosphereRadius.value = this.radius_ * 1.01;
     }
 
     UpdateVisibleChunks_Quadtree_(cameraPosition) {
@@ -228,8 +343,8 @@ export const terrain = (function() {
       }
 
       const q = new quadtree.CubeQuadTree({
-        radius: terrain_constants.PLANET_RADIUS,
-        min_node_size: terrain_constants.QT_MIN_CELL_SIZE,
+        radius: this.radius_,
+        min_node_size: this.minCellSize_,
         max_node_size: terrain_constants.QT_MAX_CELL_SIZE,
       });
       q.Insert(cameraPosition);
@@ -0,0 +1,130 @@
+/**
+ * Worker for fetching and decoding elevation and imagery tiles
+ *
+ * Jobs run concurrently since most of their time is spent waiting on the
+ * network. Each carries an id; a 'cancel' message with that id aborts its
+ * fetch. Decoded heights and colours come back in SharedArrayBuffers.
+ */
+
+import {terrain_provider} from './terrain-provider.js';
+
+const { TileLoadError, ELEVATION_ENCODINGS } = terrain_provider;
+
+// Pixels must reach us exactly as stored, or terrain-rgb heights are garbage
+const BITMAP_OPTIONS = { premultiplyAlpha: 'none', colorSpaceConversion: 'none' };
+
+const _controllers = new Map();
+
+let _canvas = null;
+let _ctx = null;
+
+// RGBA pixels of a bitmap, resampled to size x size
+function readPixels(bitmap, size) {
+  if (!_canvas) {
+    _canvas = new OffscreenCanvas(size, size);
+    _ctx = _canvas.getContext('2d', { willReadFrequently: true });
+  }
+  if (_canvas.width !== size) {
+    _canvas.width = size;
+    _canvas.height = size;
+  }
+  _ctx.drawImage(bitmap, 0, 0, size, size);
+  return _ctx.getImageData(0, 0, size, size).data;
+}
+
+async function fetchBlob(job, signal) {
+  const { z, x, y } = job;
+
+  let response;
+  try {
+    response = await fetch(job.url, { mode: 'cors', credentials: 'omit', signal });
+  } catch (err) {
+    throw err.name === 'AbortError' ? err : new TileLoadError(z, x, y, 'network');
+  }
+  if (!response.ok) {
+    throw TileLoadError.fromStatus(z, x, y, response.status);
+  }
+  return response.blob();
+}
+
+async function readBitmap(job, blob) {
+  try {
+    return await createImageBitmap(blob, BITMAP_OPTIONS);
+  } catch (err) {
+    throw new TileLoadError(job.z, job.x, job.y, 'decode');
+  }
+}
+
+function decodeHeights(job, data, size) {
+  const decodeHeight = ELEVATION_ENCODINGS[job.encoding];
+  const heights = new Float32Array(new SharedArrayBuffer(4 * size * size));
+  for (let i = 0; i < size * size; i++) {
+    heights[i] = decodeHeight(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  }
+  return heights;
+}
+
+function decodeColours(data, size) {
+  const colors = new Uint8ClampedArray(new SharedArrayBuffer(3 * size * size));
+  for (let i = 0; i < size * size; i++) {
+    colors[i * 3] = data[i * 4];
+    colors[i * 3 + 1] = data[i * 4 + 1];
+    colors[i * 3 + 2] = data[i * 4 + 2];
+  }
+  return colors;
+}
+
+async function runJob(job, signal) {
+  const fetched = job.blob ? null : await fetchBlob(job, signal);
+
+  const bitmap = await readBitmap(job, fetched || job.blob);
+  const size = bitmap.width;
+  const data = readPixels(bitmap, size);
+  bitmap.close();
+
+  const result = { width: size, height: size };
+  if (job.decodeAs === 'imagery') {
+    result.colors = decodeColours(data, size);
+  } else {
+    result.heights = decodeHeights(job, data, size);
+  }
+
+  // Freshly fetched images go back so the caller can store them; error
+  // bodies never get this far
+  result.blob = fetched;
+  return result;
+}
+
+// Errors don't survive postMessage with their class, so send what's needed
+// to rebuild them
+function serialiseError(err) {
+  if (err instanceof TileLoadError) {
+    return { name: err.name, kind: err.kind, status: err.status };
+  }
+  return { name: err.name, message: err.message };
+}
+
+self.onmessage = async (msg) => {
+  const { subject, id } = msg.data;
+
+  if (subject === 'cancel') {
+    const controller = _controllers.get(id);
+    if (controller) {
+      controller.abort();
+    }
+    return;
+  }
+
+  if (subject === 'decode_tile') {
+    const controller = new AbortController();
+    _controllers.set(id, controller);
+    try {
+      const result = await runJob(msg.data.job, controller.signal);
+      self.postMessage({ subject: 'decode_tile_result', id, data: result });
+    } catch (err) {
+      self.postMessage({ subject: 'decode_tile_error', id, error: serialiseError(err) });
+    } finally {
+      _controllers.delete(id);
+    }
+  }
+};
@@ -0,0 +1,241 @@
+/**
+ * Persistent tile store backed by IndexedDB
+ *
+ * Keeps the raw tile blobs exactly as they came off the network so that
+ * previously visited areas can be decoded again after a reload, or with no
+ * connection at all. Entries are evicted least-recently-used first once the
+ * configured byte budget is exceeded.
+ */
+
+export const tile_store = (function() {
+
+  const DB_VERSION = 1;
+
+  // Tile payloads and their bookkeeping live in separate stores so that
+  // touching an entry's access time never rewrites the blobs themselves
+  const TILES_STORE = 'tiles';
+  const META_STORE = 'meta';
+
+  const DEFAULT_MAX_BYTES = 512 * 1024 * 1024;
+
+  // Databases earlier versions kept tiles in, in a layout nothing reads now
+  const LEGACY_DB_NAMES = ['mapbox-terrain-tiles'];
+
+  // Wrap an IDBRequest in a Promise
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Wrap an IDBTransaction's completion in a Promise
+  function transactionToPromise(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  let _legacyDeleted = null;
+
+  // Delete the legacy databases once per page, so what they hold doesn't
+  // sit on disk outside every cache's budget
+  function deleteLegacyDatabases() {
+    if (!_legacyDeleted) {
+      _legacyDeleted = Promise.all(LEGACY_DB_NAMES.map(
+          (name) => requestToPromise(indexedDB.deleteDatabase(name)))).catch((err) => {
+        console.warn('Could not delete old tile databases:', err);
+      });
+    }
+    return _legacyDeleted;
+  }
+
+  /**
+   * PersistentTileCache - LRU tile cache with a byte budget, stored in IndexedDB
+   *
+   * All methods degrade to no-ops when IndexedDB is unavailable (private
+   * browsing, file:// origins), so callers never need to special-case it.
+   */
+  class PersistentTileCache {
+    constructor(params = {}) {
+      this._dbName = params.dbName || 'terrain-tiles';
+      this._maxBytes = params.maxBytes || DEFAULT_MAX_BYTES;
+      this._totalBytes = 0;
+      this._evicting = null;
+      this._db = this._open().catch((err) => {
+        console.warn('Persistent tile cache unavailable:', err);
+        return null;
+      });
+    }
+
+    set maxBytes(bytes) {
+      this._maxBytes = bytes;
+      this._evict().catch((err) => {
+        console.warn('Persistent tile cache eviction failed:', err);
+      });
+    }
+
+    get maxBytes() {
+      return this._maxBytes;
+    }
+
+    get totalBytes() {
+      return this._totalBytes;
+    }
+
+    async _open() {
+      if (typeof indexedDB === 'undefined') {
+        return null;
+      }
+      deleteLegacyDatabases();
+
+      const request = indexedDB.open(this._dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TILES_STORE)) {
+          db.createObjectStore(TILES_STORE);
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          const meta = db.createObjectStore(META_STORE, { keyPath: 'key' });
+          meta.createIndex('lastAccess', 'lastAccess');
+        }
+      };
+
+      const db = await requestToPromise(request);
+
+      // Tally what previous sessions left behind
+      const tx = db.transaction(META_STORE, 'readonly');
+      const entries = await requestToPromise(tx.objectStore(META_STORE).getAll());
+      this._totalBytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+
+      return db;
+    }
+
+    /**
+     * Get a stored tile payload, or null if it isn't stored
+     */
+    async get(key) {
+      const db = await this._db;
+      if (!db) {
+        return null;
+      }
+
+      try {
+        const tx = db.transaction(TILES_STORE, 'readonly');
+        const data = await requestToPromise(tx.objectStore(TILES_STORE).get(key));
+        if (data === undefined) {
+          return null;
+        }
+
+        this._touch(db, key);
+        return data;
+      } catch (err) {
+        console.warn(`Persistent tile cache read failed for ${key}:`, err);
+        return null;
+      }
+    }
+
+    /**
+     * Store a tile payload, evicting least recently used tiles if over budget
+     */
+    async set(key, data, bytes) {
+      const db = await this._db;
+      if (!db || bytes > this._maxBytes) {
+        return;
+      }
+
+      try {
+        const tx = db.transaction([TILES_STORE, META_STORE], 'readwrite');
+        const meta = tx.objectStore(META_STORE);
+        const previous = await requestToPromise(meta.get(key));
+
+        tx.objectStore(TILES_STORE).put(data, key);
+        meta.put({ key: key, bytes: bytes, lastAccess: Date.now() });
+        await transactionToPromise(tx);
+
+        this._totalBytes += bytes - (previous ? previous.bytes : 0);
+      } catch (err) {
+        console.warn(`Persistent tile cache write failed for ${key}:`, err);
+        return;
+      }
+
+      try {
+        await this._evict();
+      } catch (err) {
+        console.warn('Persistent tile cache eviction failed:', err);
+      }
+    }
+
+    /**
+     * Remove every stored tile
+     */
+    async clear() {
+      const db = await this._db;
+      if (!db) {
+        return;
+      }
+
+      const tx = db.transaction([TILES_STORE, META_STORE], 'readwrite');
+      tx.objectStore(TILES_STORE).clear();
+      tx.objectStore(META_STORE).clear();
+      await transactionToPromise(tx);
+
+      this._totalBytes = 0;
+    }
+
+    _touch(db, key) {
+      const tx = db.transaction(META_STORE, 'readwrite');
+      const meta = tx.objectStore(META_STORE);
+      const request = meta.get(key);
+      request.onsuccess = () => {
+        if (request.result) {
+          request.result.lastAccess = Date.now();
+          meta.put(request.result);
+        }
+      };
+    }
+
+    async _evict() {
+      // Serialise evictions so concurrent writes don't double-count
+      if (this._evicting) {
+        return this._evicting;
+      }
+
+      this._evicting = this._evictOldest().finally(() => {
+        this._evicting = null;
+      });
+      return this._evicting;
+    }
+
+    async _evictOldest() {
+      const db = await this._db;
+      if (!db || this._totalBytes <= this._maxBytes) {
+        return;
+      }
+
+      const tx = db.transaction([TILES_STORE, META_STORE], 'readwrite');
+      const tiles = tx.objectStore(TILES_STORE);
+      const cursorRequest = tx.objectStore(META_STORE).index('lastAccess').openCursor();
+
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || this._totalBytes <= this._maxBytes) {
+          return;
+        }
+
+        tiles.delete(cursor.value.key);
+        cursor.delete();
+        this._totalBytes -= cursor.value.bytes;
+        cursor.continue();
+      };
+
+      await transactionToPromise(tx);
+    }
+  }
+
+  return {
+    PersistentTileCache: PersistentTileCache
+  };
+})();
@@ -0,0 +1,423 @@
+/**
+ * Viewshed and line-of-sight analysis from an observer on the flat terrain
+ *
+ * The elevation around the observer is gathered from the tiles loaded so
+ * far onto a grid on the tangent plane there, and the viewshed worker
+ * works out which cells can be seen. The result is draped over the terrain
+ * by the shader's viewshed overlay. Line-of-sight checks from the observer
+ * to a clicked point run here, along the geodesic between them.
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.125/build/three.module.js';
+import {geodesy} from './geodesy.js';
+import {viewshed} from './viewshed.js';
+
+export const viewshed_tool = (function() {
+
+  const GRID_SIZES = [257, 513, 1025];
+
+  // Grid rows sampled between yields to the renderer
+  const ROWS_PER_SLICE = 32;
+
+  // Line-of-sight profiles are sampled this often (meters), up to a limit
+  const SIGHT_SPACING = 5;
+  const MAX_SIGHT_SAMPLES = 4000;
+
+  const VISIBLE_COLOUR = [40, 220, 60];
+  const HIDDEN_COLOUR = [220, 40, 40];
+
+  const OBSERVER_COLOUR = 0xffffff;
+  const CLEAR_COLOUR = 0x33ff66;
+  const BLOCKED_COLOUR = 0xff3333;
+
+  const nextFrame = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  function formatLength(meters) {
+    return meters < 1000 ? `${meters.toFixed(0)} m` : `${(meters / 1000).toFixed(2)} km`;
+  }
+
+  /**
+   * ViewshedTool - Place an observer, see what it can see
+   *
+   * Adds a "Viewshed" GUI folder. Runs as a game entity so its markers
+   * and overlay follow the world when the flat terrain recenters.
+   */
+  class ViewshedTool {
+    constructor(params) {
+      this._params = params;
+      this._terrain = params.terrain;
+      this._uniforms = params.overlays.uniforms;
+      this._worker = new Worker('src/viewshed-worker.js', { type: 'module' });
+      this._observer = null;
+      this._target = null;
+      this._sight = null;
+      this._grid = null;
+      this._computing = false;
+      this._recomputeQueued = false;
+      this._center = this._terrain.center;
+
+      this._group = new THREE.Group();
+      this._params.scene.add(this._group);
+
+      this._initGui(params);
+    }
+
+    _initGui(params) {
+      params.guiParams.viewshed = {
+        observerHeight: 10,
+        targetHeight: 2,
+        range: 5000,
+        refraction: 0.25,
+        gridSize: GRID_SIZES[1],
+        show: true,
+        opacity: this._uniforms.viewshedOpacity.value,
+        status: 'Place an observer',
+        sight: '',
+        placeObserver: () => this._placeObserver(),
+        lineOfSight: () => this._pickTarget(),
+        recompute: () => this._compute(),
+        clear: () => this._clear()
+      };
+
+      const guiParams = params.guiParams.viewshed;
+      const folder = params.gui.addFolder('Viewshed');
+      folder.add(guiParams, 'placeObserver').name('Place Observer (click)');
+      folder.add(guiParams, 'lineOfSight').name('Line of Sight To (click)');
+      folder.add(guiParams, 'observerHeight', 0, 500).name('Observer Height (m)');
+      folder.add(guiParams, 'targetHeight', 0, 500).name('Target Height (m)');
+      folder.add(guiParams, 'range', 100, 50000, 100).name('Max Range (m)');
+      folder.add(guiParams, 'refraction', 0, 0.5).name('Refraction Coeff.');
+      folder.add(guiParams, 'gridSize', GRID_SIZES).name('Grid Size');
+      folder.add(guiParams, 'recompute').name('Recompute');
+      folder.add(guiParams, 'show').name('Show Overlay').onChange((v) => {
+        this._uniforms.showViewshed.value = v && this._grid !== null;
+      });
+      folder.add(guiParams, 'opacity', 0, 1).name('Overlay Opacity').onChange((v) => {
+        this._uniforms.viewshedOpacity.value = v;
+      });
+      folder.add(guiParams, 'clear').name('Clear');
+      folder.add(guiParams, 'status').name('Viewshed').listen();
+      folder.add(guiParams, 'sight').name('Line of Sight').listen();
+    }
+
+    get _options() {
+      return this._params.guiParams.viewshed;
+    }
+
+    _placeObserver() {
+      this._params.picker.start((hit) => {
+        this._observer = { lon: hit.lon, lat: hit.lat };
+        this._target = null;
+        this._sight = null;
+        this._options.sight = '';
+        this._params.picker.stop();
+        this._compute();
+      });
+    }
+
+    _pickTarget() {
+      if (!this._observer) {
+        this._options.sight = 'Place an observer first';
+        return;
+      }
+      this._params.picker.start((hit) => {
+        this._target = { lon: hit.lon, lat: hit.lat };
+        this._params.picker.stop();
+        this._checkLineOfSight();
+      });
+    }
+
+    _clear() {
+      this._observer = null;
+      this._target = null;
+      this._sight = null;
+      this._grid = null;
+      this._uniforms.showViewshed.value = false;
+      this._options.status = 'Place an observer';
+      this._options.sight = '';
+      this._redraw();
+    }
+
+    /**
+     * Compute the viewshed from the observer and drape it over the terrain.
+     * Requests made while one is running are run once it finishes.
+     */
+    async _compute() {
+      if (!this._observer) {
+        return;
+      }
+
+      // Run again with the latest settings once this one is done
+      if (this._computing) {
+        this._recomputeQueued = true;
+        return;
+      }
+      this._computing = true;
+      this._recomputeQueued = false;
+
+      const observer = this._observer;
+      let result = null;
+      try {
+        result = await this._computeViewshed(observer);
+      } catch (err) {
+        console.error('Error computing viewshed:', err);
+        this._options.status = `Failed: ${err.message}`;
+      } finally {
+        this._computing = false;
+      }
+
+      // Moved, cleared or asked for again while this one was underway
+      if (observer !== this._observer || this._recomputeQueued) {
+        this._compute();
+        return;
+      }
+      if (!result) {
+        return;
+      }
+
+      const { cells, plane, size, cellSize, visible, covered } = result;
+      this._grid = { plane, size, cellSize };
+      this._setOverlay(cells, size);
+
+      const cellArea = cellSize * cellSize / 1e6;
+      this._options.status = covered ?
+          `Visible ${(visible * cellArea).toFixed(2)} of ${(covered * cellArea).toFixed(2)} km² (${(100 * visible / covered).toFixed(0)}%)` :
+          'No elevation loaded under the observer';
+
+      if (this._target) {
+        this._checkLineOfSight();
+      }
+    }
+
+    /**
+     * Sample the loaded elevation around the observer and hand it to the
+     * worker. Cells are as close as the grid size allows while covering
+     * the range.
+     */
+    async _computeViewshed(observer) {
+      const options = this._options;
+      const size = Number(options.gridSize);
+      const centre = (size - 1) / 2;
+      const cellSize = options.range / centre;
+      const plane = new geodesy.LocalTangentPlane(observer.lon, observer.lat);
+
+      options.status = 'Sampling elevation...';
+      this._redraw();
+
+      const heights = new Float32Array(size * size);
+      for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+          const { lon, lat } = plane.inverse((i - centre) * cellSize, (j - centre) * cellSize);
+          const elevation = this._terrain.getElevationAtLonLat(lon, lat);
+          heights[j * size + i] = elevation === null ? NaN : elevation;
+        }
+        if (j % ROWS_PER_SLICE === ROWS_PER_SLICE - 1) {
+          await nextFrame();
+        }
+      }
+
+      options.status = 'Computing viewshed...';
+      const result = await new Promise((resolve, reject) => {
+        this._worker.onmessage = (e) => resolve(e.data.data);
+        this._worker.onerror = (e) => reject(new Error(e.message || 'viewshed worker failed'));
+        this._worker.onmessageerror = () => reject(new Error('viewshed result could not be read'));
+        this._worker.postMessage({
+          subject: 'viewshed',
+          params: {
+            heights: heights,
+            size: size,
+            cellSize: cellSize,
+            observerHeight: options.observerHeight,
+            targetHeight: options.targetHeight,
+            maxRange: options.range,
+            refraction: options.refraction
+          }
+        }, [heights.buffer]);
+      });
+
+      return Object.assign({ plane, size, cellSize }, result);
+    }
+
+    _setOverlay(cells, size) {
+      const pixels = new Uint8Array(size * size * 4);
+      for (let i = 0; i < cells.length; i++) {
+        if (cells[i] === viewshed.OUTSIDE) {
+          continue;
+        }
+        const colour = cells[i] === viewshed.VISIBLE ? VISIBLE_COLOUR : HIDDEN_COLOUR;
+        pixels.set(colour, i * 4);
+        pixels[i * 4 + 3] = 255;
+      }
+
+      const texture = new THREE.DataTexture(pixels, size, size, THREE.RGBAFormat);
+      texture.magFilter = THREE.NearestFilter;
+      texture.minFilter = THREE.NearestFilter;
+      texture.needsUpdate = true;
+
+      this._uniforms.viewshedMap.value.dispose();
+      this._uniforms.viewshedMap.value = texture;
+      this._uniforms.showViewshed.value = this._options.show;
+      this._updateTransform();
+    }
+
+    /**
+     * Point the overlay's world XZ to UV transform at the grid
+     *
+     * Matches world positions of the grid's centre and its east and north
+     * edges; the tangent planes of the world and the grid are close enough
+     * to affine over the ranges involved.
+     */
+    _updateTransform() {
+      if (!this._grid) {
+        return;
+      }
+
+      const { plane, size, cellSize } = this._grid;
+      const extent = cellSize * (size - 1) / 2;
+      const toWorld = (east, north) => {
+        const { lon, lat } = plane.inverse(east, north);
+        return this._terrain.lonLatToWorld(lon, lat);
+      };
+      const o = toWorld(0, 0);
+      const e = toWorld(extent, 0);
+      const n = toWorld(0, extent);
+
+      // World offsets per meter east and north, inverted
+      const a = (e.x - o.x) / extent;
+      const b = (n.x - o.x) / extent;
+      const c = (e.z - o.z) / extent;
+      const d = (n.z - o.z) / extent;
+      const det = a * d - b * c;
+      const ia = d / det;
+      const ib = -b / det;
+      const ic = -c / det;
+      const id = a / det;
+
+      // Meters from the grid centre to texel-centred UVs
+      const scale = 1 / (cellSize * size);
+      const offset = 0.5;
+
+      this._uniforms.viewshedTransform.value.set(
+          scale * ia, scale * ib, offset - scale * (ia * o.x + ib * o.z),
+          scale * ic, scale * id, offset - scale * (ic * o.x + id * o.z),
+          0, 0, 1);
+    }
+
+    _checkLineOfSight() {
+      const options = this._options;
+      const from = this._observer;
+      const to = this._target;
+      const { distance, azimuth1 } = geodesy.geodesicInverse(from.lon, from.lat, to.lon, to.lat);
+      const count = Math.min(MAX_SIGHT_SAMPLES, Math.max(1, Math.ceil(distance / SIGHT_SPACING)));
+
+      const samples = [];
+      for (let i = 0; i <= count; i++) {
+        const point = i === 0 ? from : i === count ? to :
+            geodesy.geodesicDirect(from.lon, from.lat, azimuth1, distance * i / count);
+        samples.push({
+          lon: point.lon,
+          lat: point.lat,
+          distance: distance * i / count,
+          elevation: this._terrain.getElevationAtLonLat(point.lon, point.lat)
+        });
+      }
+
+      const sight = viewshed.lineOfSight(samples, options.observerHeight, options.targetHeight, options.refraction);
+      this._sight = Object.assign({ distance: distance }, sight);
+
+      if (sight.clear === null) {
+        options.sight = 'No elevation loaded at an end of the line';
+      } else if (sight.clear) {
+        options.sight = `Clear over ${formatLength(distance)}`;
+      } else {
+        const o = sight.obstruction;
+        options.sight = `Blocked ${formatLength(o.distance)} out, ${o.blockedBy.toFixed(1)} m above the line ` +
+            `at ${o.lat.toFixed(5)}, ${o.lon.toFixed(5)}`;
+      }
+
+      this._redraw();
+    }
+
+    // World position of a lon/lat, some meters above the ground
+    _toWorld(lon, lat, above = 0) {
+      const { x, z } = this._terrain.lonLatToWorld(lon, lat);
+      const height = this._terrain.getHeightAtLonLat(lon, lat);
+      const y = height === null || Number.isNaN(height) ? 0 : height;
+      return new THREE.Vector3(x, y + above * this._terrain.heightScale, z);
+    }
+
+    // Observer mast, and the sight line to the target coloured by whether
+    // it's clear
+    _redraw() {
+      for (const child of this._group.children.slice()) {
+        child.geometry.dispose();
+        child.material.dispose();
+        this._group.remove(child);
+      }
+      if (!this._observer) {
+        return;
+      }
+
+      const material = (colour, options) => Object.assign({
+        color: colour,
+        depthTest: false,
+        depthWrite: false,
+        transparent: true
+      }, options);
+      const add = (object) => {
+        object.renderOrder = 1000;
+        object.frustumCulled = false;
+        this._group.add(object);
+      };
+
+      const options = this._options;
+      const ground = this._toWorld(this._observer.lon, this._observer.lat);
+      const eye = this._toWorld(this._observer.lon, this._observer.lat, options.observerHeight);
+      add(new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([ground, eye]),
+          new THREE.LineBasicMaterial(material(OBSERVER_COLOUR))));
+      add(new THREE.Points(
+          new THREE.BufferGeometry().setFromPoints([eye]),
+          new THREE.PointsMaterial(material(OBSERVER_COLOUR, { size: 9, sizeAttenuation: false }))));
+
+      if (!this._target || !this._sight) {
+        return;
+      }
+
+      const target = this._toWorld(this._target.lon, this._target.lat, options.targetHeight);
+      const obstruction = this._sight.obstruction;
+      if (!obstruction) {
+        add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([eye, target]),
+            new THREE.LineBasicMaterial(material(CLEAR_COLOUR))));
+        return;
+      }
+
+      // Clear up to the obstruction, blocked beyond it
+      const blocked = eye.clone().lerp(target, obstruction.distance / this._sight.distance);
+      add(new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([eye, blocked]),
+          new THREE.LineBasicMaterial(material(CLEAR_COLOUR))));
+      add(new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([blocked, target]),
+          new THREE.LineBasicMaterial(material(BLOCKED_COLOUR))));
+      add(new THREE.Points(
+          new THREE.BufferGeometry().setFromPoints([this._toWorld(obstruction.lon, obstruction.lat)]),
+          new THREE.PointsMaterial(material(BLOCKED_COLOUR, { size: 11, sizeAttenuation: false }))));
+    }
+
+    Update(timeInSeconds) {
+      // World positions go stale when the terrain recenters
+      const center = this._terrain.center;
+      if (center.lon !== this._center.lon || center.lat !== this._center.lat) {
+        this._center = center;
+        this._updateTransform();
+        this._redraw();
+      }
+    }
+  }
+
+  return {
+    ViewshedTool: ViewshedTool
+  };
+})();
@@ -0,0 +1,12 @@
+/**
+ * Worker computing viewsheds, so large grids don't stall rendering
+ */
+
+import {viewshed} from './viewshed.js';
+
+self.onmessage = (msg) => {
+  if (msg.data.subject === 'viewshed') {
+    const result = viewshed.computeViewshed(msg.data.params);
+    self.postMessage({ subject: 'viewshed_result', data: result }, [result.cells.buffer]);
+  }
+};
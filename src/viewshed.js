@@ -0,0 +1,147 @@
+/**
+ * Viewshed and line-of-sight calculations over elevation samples
+ *
+ * Heights are meters above sea level. The ground is dropped away from the
+ * observer by the Earth's curvature, less what atmospheric refraction
+ * bends the line of sight back down: refraction is the usual coefficient
+ * k, 0.13 for light and 0.25 for the 4/3 Earth radio horizon.
+ */
+
+export const viewshed = (function() {
+
+  // Cell values in a computed viewshed
+  const OUTSIDE = 0;
+  const HIDDEN = 1;
+  const VISIBLE = 2;
+
+  const EARTH_RADIUS = 6371000;
+
+  // How far the ground at distance d (meters) sits below the observer's
+  // horizontal plane
+  function curvatureDrop(d, refraction) {
+    return d * d * (1 - refraction) / (2 * EARTH_RADIUS);
+  }
+
+  /**
+   * Which cells of a square grid of heights can be seen from its centre
+   *
+   * heights is size x size row-major, size odd, cells cellSize meters
+   * apart with NaN for no data. A target targetHeight above the ground is
+   * visible when the line to it from observerHeight above the centre
+   * clears all the ground in between. Rays go out to every cell on the
+   * edge of the grid, each carrying the steepest ground seen so far along
+   * it; a cell is visible if any ray passing through it says so.
+   *
+   * Returns a Uint8Array of OUTSIDE (beyond maxRange or no data), HIDDEN
+   * or VISIBLE per cell, and how many cells were visible and covered.
+   */
+  function computeViewshed(params) {
+    const { heights, size, cellSize, observerHeight, targetHeight, maxRange, refraction } = params;
+    const centre = (size - 1) / 2;
+    const cells = new Uint8Array(size * size);
+
+    const ground = heights[centre * size + centre];
+    if (Number.isNaN(ground)) {
+      return { cells: cells, visible: 0, covered: 0 };
+    }
+    const eye = ground + observerHeight;
+    cells[centre * size + centre] = VISIBLE;
+
+    const trace = (edgeX, edgeY) => {
+      const dx = edgeX - centre;
+      const dy = edgeY - centre;
+      const steps = Math.max(Math.abs(dx), Math.abs(dy));
+
+      let horizon = -Infinity;
+      for (let s = 1; s <= steps; s++) {
+        const x = Math.round(centre + dx * s / steps);
+        const y = Math.round(centre + dy * s / steps);
+        const d = Math.hypot(x - centre, y - centre) * cellSize;
+        if (d > maxRange) {
+          break;
+        }
+
+        const index = y * size + x;
+        const h = heights[index];
+        if (Number.isNaN(h)) {
+          continue;
+        }
+
+        // Elevation angles (as tangents) to the target and the ground
+        const drop = curvatureDrop(d, refraction);
+        const targetAngle = (h + targetHeight - drop - eye) / d;
+        if (targetAngle >= horizon) {
+          cells[index] = VISIBLE;
+        } else if (cells[index] !== VISIBLE) {
+          cells[index] = HIDDEN;
+        }
+        horizon = Math.max(horizon, (h - drop - eye) / d);
+      }
+    };
+
+    for (let i = 0; i < size; i++) {
+      trace(i, 0);
+      trace(i, size - 1);
+      trace(0, i);
+      trace(size - 1, i);
+    }
+
+    let visible = 0;
+    let covered = 0;
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i] !== OUTSIDE) {
+        covered++;
+      }
+      if (cells[i] === VISIBLE) {
+        visible++;
+      }
+    }
+
+    return { cells: cells, visible: visible, covered: covered };
+  }
+
+  /**
+   * Check the line from an observer to a target over a ground profile
+   *
+   * samples are {distance, elevation} from the observer (first) to the
+   * target (last), elevation null where unknown. Returns whether the line
+   * is clear, and the first sample the ground rises above it at as
+   * obstruction (with blockedBy, the meters the ground pokes above the
+   * line there), or null.
+   */
+  function lineOfSight(samples, observerHeight, targetHeight, refraction) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    if (first.elevation === null || last.elevation === null) {
+      return { clear: null, obstruction: null };
+    }
+
+    const eye = first.elevation + observerHeight;
+    const range = last.distance;
+    const target = last.elevation + targetHeight - curvatureDrop(range, refraction);
+
+    for (let i = 1; i < samples.length - 1; i++) {
+      const sample = samples[i];
+      if (sample.elevation === null) {
+        continue;
+      }
+
+      const sight = eye + (target - eye) * sample.distance / range;
+      const blockedBy = sample.elevation - curvatureDrop(sample.distance, refraction) - sight;
+      if (blockedBy > 0) {
+        return { clear: false, obstruction: Object.assign({ index: i, blockedBy: blockedBy }, sample) };
+      }
+    }
+
+    return { clear: true, obstruction: null };
+  }
+
+  return {
+    OUTSIDE: OUTSIDE,
+    HIDDEN: HIDDEN,
+    VISIBLE: VISIBLE,
+    curvatureDrop: curvatureDrop,
+    computeViewshed: computeViewshed,
+    lineOfSight: lineOfSight
+  };
+})();